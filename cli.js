@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+/**
+ * Executor de linha de comando do simulador
+ *
+ * Carrega um arquivo de programa no mesmo formato da interface (programa1.json),
+ * executa o pipeline até o fim e imprime o estado final em JSON na saída
+ * padrão: motivo do término, ciclos, instruções concluídas, saída dos
+ * syscalls, registradores, HI/LO, memória, preditor, forwarding e caches de
+ * dados e de instruções usados e estatísticas de desempenho. A entrada dos syscalls vem apenas do campo "input" do arquivo.
+ *
+ * Uso: node cli.js programa.json [opções]
+ *   --max-cycles N       Limite de ciclos (padrão 10000)
+ *   --forwarding on|off  Liga ou desliga o forwarding (padrão on)
+ *   --predictor TIPO     Política de predição de branch (padrão 2-bit ou o
+ *                        campo "predictor" do arquivo)
+ *   --table-size N       Entradas das tabelas do preditor (potência de 2)
+ *   --history N          Bits de histórico global (gshare e tournament)
+ *   --branch-stage E     Estágio que resolve os branches: ID, EX ou MEM
+ *   --delay-slot on|off  Executa sempre a instrução seguinte a branches e jumps
+ *   --cache on|off       Liga ou desliga a cache de dados (padrão: o campo
+ *                        "cache" do arquivo, ou desligada)
+ *   --cache-size N       Bytes de dados da cache (liga a cache)
+ *   --block-size N       Bytes por bloco
+ *   --associativity N    Vias por conjunto (1 = mapeamento direto)
+ *   --replacement P      Substituição: lru, fifo ou random
+ *   --write-policy P     Escrita: write-back ou write-through
+ *   --write-allocate on|off  Falta de escrita traz o bloco para a cache
+ *   --miss-penalty N     Ciclos de stall de uma falta
+ *   --icache on|off      Liga ou desliga a cache de instruções (padrão: o
+ *                        campo "instructionCache" do arquivo, ou desligada)
+ *   --icache-size N, --icache-block-size N, --icache-associativity N,
+ *   --icache-replacement P
+ *                        Geometria da cache de instruções (ligam a cache)
+ *   --icache-miss-penalty N
+ *                        Latência da memória numa falta de instrução
+ *   --trace              Imprime os estágios IF/ID/EX/MEM/WB a cada ciclo
+ *                        na saída de erro, mantendo o JSON limpo
+ *
+ * Código de saída: 0 quando o programa termina, 1 em erro de uso, de leitura
+ * ou de montagem, 2 quando o limite de ciclos é atingido ou a entrada acaba,
+ * 3 quando o PC é desviado para um endereço sem instrução e 4 quando ocorre
+ * uma exceção sem tratador carregado (a causa e o EPC vão em "exception").
+ */
+const fs = require('fs');
+const {
+   MIPSPipeline,
+   RegisterABINames,
+   DiagnosticSeverity,
+   SimulatorEvent,
+   HaltReason,
+   ExceptionName,
+   PredictorType,
+   BranchResolutionStage,
+   CacheReplacement,
+   CacheWritePolicy,
+   PipelineStageNames,
+   formatWord
+} = require('./pipeline.js');
+
+const DEFAULT_MAX_CYCLES = 10000;
+
+const USAGE = 'Uso: node cli.js programa.json [--max-cycles N] [--forwarding on|off] ' +
+   `[--predictor ${Object.values(PredictorType).join('|')}] [--table-size N] [--history N] ` +
+   `[--branch-stage ${Object.values(BranchResolutionStage).join('|')}] [--delay-slot on|off] ` +
+   '[--cache on|off] [--cache-size N] [--block-size N] [--associativity N] ' +
+   `[--replacement ${Object.values(CacheReplacement).join('|')}] [--write-policy ${Object.values(CacheWritePolicy).join('|')}] ` +
+   '[--write-allocate on|off] [--miss-penalty N] [--icache on|off] [--icache-size N] ' +
+   '[--icache-block-size N] [--icache-associativity N] ' +
+   `[--icache-replacement ${Object.values(CacheReplacement).join('|')}] [--icache-miss-penalty N] [--trace]`;
+
+// Valor on/off de uma opção
+function parseSwitch(arg, mode) {
+   if (mode !== 'on' && mode !== 'off') throw new Error(`${arg} deve ser on ou off, não ${mode}`);
+   return mode === 'on';
+}
+
+// Interpreta os argumentos; lança Error com a mensagem para o usuário
+function parseArguments(args) {
+   const options = {
+      file: null,
+      maxCycles: DEFAULT_MAX_CYCLES,
+      forwarding: true,
+      predictor: null,          // null: mantém o preditor do arquivo (ou o padrão)
+      predictorOptions: {},
+      branchStage: null,        // null: mantém o do arquivo (ou o padrão)
+      delaySlot: null,
+      cache: null,              // null: mantém a cache do arquivo (ou nenhuma)
+      cacheOptions: {},
+      instructionCache: null,   // null: mantém a cache de instruções do arquivo (ou nenhuma)
+      instructionCacheOptions: {},
+      trace: false
+   };
+
+   for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      const value = () => {
+         if (i + 1 >= args.length) throw new Error(`valor ausente para ${arg}`);
+         return args[++i];
+      };
+
+      switch (arg) {
+         case '--max-cycles':
+            options.maxCycles = Number(value());
+            if (!Number.isInteger(options.maxCycles) || options.maxCycles <= 0) {
+               throw new Error(`--max-cycles deve ser um inteiro positivo`);
+            }
+            break;
+         case '--forwarding':
+            options.forwarding = parseSwitch(arg, value());
+            break;
+         case '--predictor':
+            options.predictor = value();
+            if (!Object.values(PredictorType).includes(options.predictor)) {
+               throw new Error(`preditor desconhecido ${options.predictor}`);
+            }
+            break;
+         case '--table-size':
+            options.predictorOptions.tableSize = Number(value());
+            break;
+         case '--history':
+            options.predictorOptions.historyLength = Number(value());
+            break;
+         case '--branch-stage':
+            options.branchStage = value().toUpperCase();
+            if (!Object.values(BranchResolutionStage).includes(options.branchStage)) {
+               throw new Error(`--branch-stage deve ser ID, EX ou MEM, não ${options.branchStage}`);
+            }
+            break;
+         case '--delay-slot':
+            options.delaySlot = parseSwitch(arg, value());
+            break;
+         case '--cache':
+            options.cache = parseSwitch(arg, value());
+            break;
+         case '--cache-size':
+            options.cacheOptions.size = Number(value());
+            break;
+         case '--block-size':
+            options.cacheOptions.blockSize = Number(value());
+            break;
+         case '--associativity':
+            options.cacheOptions.associativity = Number(value());
+            break;
+         case '--replacement':
+            options.cacheOptions.replacement = value();
+            break;
+         case '--write-policy':
+            options.cacheOptions.writePolicy = value();
+            break;
+         case '--write-allocate':
+            options.cacheOptions.writeAllocate = parseSwitch(arg, value());
+            break;
+         case '--miss-penalty':
+            options.cacheOptions.missPenalty = Number(value());
+            break;
+         case '--icache':
+            options.instructionCache = parseSwitch(arg, value());
+            break;
+         case '--icache-size':
+            options.instructionCacheOptions.size = Number(value());
+            break;
+         case '--icache-block-size':
+            options.instructionCacheOptions.blockSize = Number(value());
+            break;
+         case '--icache-associativity':
+            options.instructionCacheOptions.associativity = Number(value());
+            break;
+         case '--icache-replacement':
+            options.instructionCacheOptions.replacement = value();
+            break;
+         case '--icache-miss-penalty':
+            options.instructionCacheOptions.missPenalty = Number(value());
+            break;
+         case '--trace':
+            options.trace = true;
+            break;
+         default:
+            if (arg.startsWith('-') || options.file) throw new Error(`argumento inesperado ${arg}`);
+            options.file = arg;
+      }
+   }
+
+   if (!options.file) throw new Error('arquivo de programa não informado');
+   return options;
+}
+
+// Texto de um slot do pipeline (IF guarda a instrução; os demais, o latch)
+function describeStage(stageData) {
+   if (!stageData) return '-';
+   const instruction = stageData.instruction || stageData;
+   return instruction.toString();
+}
+
+function formatDiagnostic(diagnostic) {
+   const position = diagnostic.line === null ? '' : `:${diagnostic.line}:${diagnostic.column}`;
+   return `${diagnostic.source}${position}: ${diagnostic.severity}: ${diagnostic.message}`;
+}
+
+function main() {
+   let options;
+   try {
+      options = parseArguments(process.argv.slice(2));
+   } catch (err) {
+      console.error(`Erro: ${err.message}`);
+      console.error(USAGE);
+      return 1;
+   }
+
+   let data;
+   try {
+      data = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+   } catch (err) {
+      console.error(`Erro ao ler o arquivo: ${err.message}`);
+      return 1;
+   }
+
+   const pipeline = new MIPSPipeline();
+   pipeline.forwardingEnabled = options.forwarding;
+
+   let diagnostics;
+   try {
+      diagnostics = pipeline.loadProgramData(data);
+   } catch (err) {
+      console.error(`Erro ao ler o arquivo: ${err.message}`);
+      return 1;
+   }
+
+   // As opções da linha de comando têm prioridade sobre os campos do arquivo
+   if (options.branchStage) pipeline.branchResolutionStage = options.branchStage;
+   if (options.delaySlot !== null) pipeline.delaySlotEnabled = options.delaySlot;
+   try {
+      if (options.predictor || Object.keys(options.predictorOptions).length > 0) {
+         pipeline.setPredictor(options.predictor || pipeline.predictorType, options.predictorOptions);
+      }
+      // Opções de cache sem --cache off (ou --icache off) ligam a cache
+      if (options.cache === false) {
+         pipeline.setDataCache(null);
+      } else if (options.cache || Object.keys(options.cacheOptions).length > 0) {
+         pipeline.setDataCache(options.cacheOptions);
+      }
+      if (options.instructionCache === false) {
+         pipeline.setInstructionCache(null);
+      } else if (options.instructionCache || Object.keys(options.instructionCacheOptions).length > 0) {
+         pipeline.setInstructionCache(options.instructionCacheOptions);
+      }
+   } catch (err) {
+      console.error(`Erro: ${err.message}`);
+      console.error(USAGE);
+      return 1;
+   }
+
+   diagnostics.forEach(d => console.error(formatDiagnostic(d)));
+   if (pipeline.hasAssemblyErrors()) {
+      const errorCount = diagnostics.filter(d => d.severity === DiagnosticSeverity.ERROR).length;
+      console.error(`O programa tem ${errorCount} erro(s) de montagem e não foi executado.`);
+      return 1;
+   }
+
+   if (options.trace) {
+      pipeline.on(SimulatorEvent.CYCLE, ({ cycle, stalled }) => {
+         const slots = PipelineStageNames
+            .map(stage => `${stage}: ${describeStage(pipeline.pipelineStages[stage])}`);
+         console.error(`ciclo ${String(cycle).padStart(4)} | ${slots.join(' | ')}${stalled ? ' (stall)' : ''}`);
+      });
+   }
+
+   const inputExhausted = () => pipeline.waitingForInput && pipeline.inputQueue.length === 0;
+   while (!pipeline.isFinished() && pipeline.cycle < options.maxCycles && !inputExhausted()) {
+      pipeline.executeCycle();
+   }
+   const { unhandledException } = pipeline;
+   if (pipeline.haltReason === HaltReason.UNMAPPED_ADDRESS) {
+      console.error(`Desvio para endereço sem instrução ${formatWord(pipeline.PC)}.`);
+   } else if (pipeline.haltReason === HaltReason.UNHANDLED_EXCEPTION) {
+      const badVAddr = unhandledException.badVAddr === null ? '' : ` (endereço ${formatWord(unhandledException.badVAddr)})`;
+      console.error(`Exceção ${ExceptionName[unhandledException.code]} em ${formatWord(unhandledException.epc)}${badVAddr} sem tratador carregado.`);
+   } else if (inputExhausted()) {
+      console.error('O programa aguarda entrada, mas o campo "input" acabou.');
+   } else if (!pipeline.isFinished()) {
+      console.error(`Limite de ${options.maxCycles} ciclos atingido.`);
+   }
+
+   // Mesmo formato de "registradores" e "memoria" do arquivo de entrada
+   const registradores = {};
+   RegisterABINames.forEach((name, i) => { registradores[name] = pipeline.registradores[i]; });
+   const memoria = {};
+   for (const { address, value } of pipeline.getMemoryWords()) {
+      memoria[address] = value;
+   }
+
+   console.log(JSON.stringify({
+      halt: pipeline.haltReason,
+      cycles: pipeline.cycle,
+      retired: pipeline.retiredCount,
+      pc: pipeline.PC,
+      output: pipeline.consoleOutput,
+      registradores,
+      hi: pipeline.hi,
+      lo: pipeline.lo,
+      memoria,
+      predictor: { type: pipeline.predictorType, ...pipeline.predictorOptions },
+      branchResolution: pipeline.branchResolutionStage,
+      delaySlot: pipeline.delaySlotEnabled,
+      forwarding: pipeline.forwardingEnabled,
+      exception: unhandledException && {
+         name: ExceptionName[unhandledException.code],
+         ...unhandledException
+      },
+      cache: pipeline.dataCacheOptions,
+      instructionCache: pipeline.instructionCacheOptions,
+      statistics: pipeline.getStatistics()
+   }, null, 3));
+
+   if (!pipeline.isFinished()) return 2;
+   switch (pipeline.haltReason) {
+      case HaltReason.UNMAPPED_ADDRESS:
+         return 3;
+      case HaltReason.UNHANDLED_EXCEPTION:
+         return 4;
+      default:
+         return 0;
+   }
+}
+
+process.exitCode = main();
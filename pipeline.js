@@ -12,125 +12,1879 @@ const program = [];
  *
  * Tipos de Instruções:
  * 1. R-Type (Registrador)
- *    - Formato: op $rd, $rs, $rt
+ *    - Formato: op $rd, $rs, $rt | op $rd, $rt, shamt | op $rd, $rt, $rs
  *    - Instruções:
- *      * add $rd, $rs, $rt  // Soma: $rd = $rs + $rt
- *      * sub $rd, $rs, $rt  // Subtração: $rd = $rs - $rt
- *      * mul $rd, $rs, $rt  // Multiplicação: $rd = $rs * $rt
+ *      * add $rd, $rs, $rt  // Soma: $rd = $rs + $rt (exceção em overflow)
+ *      * sub $rd, $rs, $rt  // Subtração: $rd = $rs - $rt (exceção em overflow)
+ *      * addu $rd, $rs, $rt // Soma sem overflow (resultado módulo 2^32)
+ *      * subu $rd, $rs, $rt // Subtração sem overflow (resultado módulo 2^32)
+ *      * mul $rd, $rs, $rt  // Multiplicação: $rd = 32 bits menos significativos de $rs * $rt
+ *      * mult $rs, $rt      // HI:LO = $rs * $rt (64 bits, com sinal)
+ *      * multu $rs, $rt     // HI:LO = $rs * $rt (64 bits, sem sinal)
+ *      * div $rs, $rt       // LO = $rs / $rt; HI = $rs % $rt (com sinal)
+ *      * divu $rs, $rt      // LO = $rs / $rt; HI = $rs % $rt (sem sinal)
+ *      * mfhi $rd           // $rd = HI
+ *      * mflo $rd           // $rd = LO
+ *      * and $rd, $rs, $rt  // AND: $rd = $rs & $rt
+ *      * or $rd, $rs, $rt   // OR: $rd = $rs | $rt
+ *      * xor $rd, $rs, $rt  // XOR: $rd = $rs ^ $rt
+ *      * nor $rd, $rs, $rt  // NOR: $rd = ~($rs | $rt)
+ *      * slt $rd, $rs, $rt  // Set Less Than: $rd = ($rs < $rt) ? 1 : 0
+ *      * sltu $rd, $rs, $rt // Set Less Than (sem sinal)
+ *      * sll $rd, $rt, shamt  // Deslocamento lógico à esquerda: $rd = $rt << shamt
+ *      * srl $rd, $rt, shamt  // Deslocamento lógico à direita: $rd = $rt >>> shamt
+ *      * sra $rd, $rt, shamt  // Deslocamento aritmético à direita: $rd = $rt >> shamt
+ *      * sllv $rd, $rt, $rs   // Deslocamento variável: $rd = $rt << ($rs & 31)
+ *      * srlv $rd, $rt, $rs   // Deslocamento variável: $rd = $rt >>> ($rs & 31)
+ *      * srav $rd, $rt, $rs   // Deslocamento variável: $rd = $rt >> ($rs & 31)
+ *      * jr $rs               // Jump Register: PC = $rs
+ *      * jalr $rd, $rs        // Jump And Link Register: $rd = PC + 4; PC = $rs
+ *                             // (jalr $rs usa $ra como destino)
+ *    - Deslocamentos por constante usam o campo shamt (0-31) e não leem $rs
+ *    - Toda a aritmética é em 32 bits, complemento de dois. Divisão por zero
+ *      não gera exceção e mantém HI/LO inalterados.
  *
  * 2. I-Type (Imediato)
- *    - Formato: op $rt, offset($rs)
+ *    - Formato: op $rt, offset($rs) | op $rt, $rs, imm | op $rt, imm
  *    - Instruções:
  *      * lw $rt, offset($rs)  // Load Word: $rt = Mem[$rs + offset]
  *      * sw $rt, offset($rs)  // Store Word: Mem[$rs + offset] = $rt
+ *      * lh/lhu $rt, offset($rs)  // Load Halfword (com/sem extensão de sinal)
+ *      * lb/lbu $rt, offset($rs)  // Load Byte (com/sem extensão de sinal)
+ *      * sh $rt, offset($rs)  // Store Halfword: 16 bits menos significativos de $rt
+ *      * sb $rt, offset($rs)  // Store Byte: 8 bits menos significativos de $rt
+ *      * Acessos devem ser alinhados ao tamanho (word: 4, halfword: 2)
  *      * beq $rs, $rt, label  // Branch if Equal: if ($rs == $rt) PC = label
+ *      * bne $rs, $rt, label  // Branch if Not Equal: if ($rs != $rt) PC = label
+ *      * blez $rs, label      // Branch if <= 0: if ($rs <= 0) PC = label
+ *      * bgtz $rs, label      // Branch if > 0: if ($rs > 0) PC = label
+ *      * bltz $rs, label      // Branch if < 0: if ($rs < 0) PC = label
+ *      * bgez $rs, label      // Branch if >= 0: if ($rs >= 0) PC = label
+ *      * addi $rt, $rs, imm   // Soma com imediato: $rt = $rs + imm
+ *      * addiu $rt, $rs, imm  // Soma sem overflow: $rt = $rs + imm
+ *      * andi $rt, $rs, imm   // AND: $rt = $rs & imm
+ *      * ori $rt, $rs, imm    // OR: $rt = $rs | imm
+ *      * xori $rt, $rs, imm   // XOR: $rt = $rs ^ imm
+ *      * slti $rt, $rs, imm   // Set Less Than: $rt = ($rs < imm) ? 1 : 0
+ *      * sltiu $rt, $rs, imm  // Set Less Than (sem sinal)
+ *      * lui $rt, imm         // Load Upper: $rt = imm << 16
+ *    - Imediatos: decimal, negativo ou hexadecimal (ex: 10, -4, 0xFF),
+ *      em 16 bits. addi, addiu, slti e sltiu estendem o sinal;
+ *      andi, ori e xori estendem com zeros.
  *
  * 3. J-Type (Jump)
  *    - Formato: op target
  *    - Instruções:
- *      * j target  // Jump: PC = target
+ *      * j target    // Jump: PC = target
+ *      * jal target  // Jump And Link: $ra = PC + 4; PC = target
  *
  * 4. NOP
  *    - Formato: nop
  *    - Instrução especial para stalls e bubbles no pipeline
+ *
+ * 5. Pseudo-instruções
+ *    - Expandidas pelo montador (loadProgram) em instruções reais, usando $at
+ *      como temporário. Os labels já consideram o tamanho expandido.
+ *    - Instruções:
+ *      * li $rd, imm          // addiu $rd, $zero, imm | ori $rd, $zero, imm |
+ *                             // lui $at, hi + ori $rd, $at, lo
+ *      * la $rd, label        // lui $at, hi + ori $rd, $at, lo
+ *      * move $rd, $rs        // or $rd, $rs, $zero
+ *      * blt $rs, $rt, label  // slt $at, $rs, $rt + bne $at, $zero, label
+ *      * bgt $rs, $rt, label  // slt $at, $rt, $rs + bne $at, $zero, label
+ *      * ble $rs, $rt, label  // slt $at, $rt, $rs + beq $at, $zero, label
+ *      * bge $rs, $rt, label  // slt $at, $rs, $rt + beq $at, $zero, label
+ *      * b label              // beq $zero, $zero, label
+ *      * beqz $rs, label      // beq $rs, $zero, label
+ *      * bnez $rs, label      // bne $rs, $zero, label
+ *
+ * 6. Coprocessador 0 e Exceções
+ *    - Instruções:
+ *      * mfc0 $rt, $rd  // Move From CP0: $rt = CP0[$rd]
+ *      * mtc0 $rt, $rd  // Move To CP0: CP0[$rd] = $rt
+ *      * eret           // Retorno de exceção: PC = EPC; Status.EXL = 0
+ *    - Registradores: BadVAddr ($8), Status ($12), Cause ($13), EPC ($14)
+ *    - Exceções: endereço inválido/desalinhado (AdEL/AdES), instrução
+ *      reservada (RI) e overflow aritmético (Ov) em add, sub e addi
+ *    - As exceções são precisas: a instrução que falhou segue sem efeitos até o
+ *      estágio MEM, onde a exceção é tratada; ela e as instruções mais novas
+ *      são descartadas e a execução continua no tratador
+ *      (EXCEPTION_HANDLER_ADDRESS), carregado do campo "handler" do JSON
+ *    - Com o delay slot ligado, uma exceção no delay slot grava no EPC o
+ *      endereço do branch e liga o bit BD do Cause: eret refaz o branch
+ *
+ * 7. Código de Máquina
+ *    - O montador gera a codificação real de 32 bits de cada instrução
+ *      (encodeInstruction): R-type com opcode/rs/rt/rd/shamt/funct, I-type com
+ *      imediato de 16 bits e J-type com target de 26 bits. mul usa o opcode
+ *      SPECIAL2, bltz/bgez usam REGIMM e mfc0/mtc0/eret usam COP0.
+ *    - Branches guardam o deslocamento em palavras relativo a PC + 4; jumps
+ *      guardam os 26 bits baixos do índice da instrução de destino.
+ *    - No texto, o destino de branches e jumps é um label ou o endereço em
+ *      bytes da instrução de destino (ex: beq $t0, $t1, 0x00400008)
+ *    - decodeInstruction faz o caminho inverso e produz o mesmo texto de
+ *      toString(), que pode ser montado de novo. Um programa pode ser
+ *      carregado já montado pelo campo "machineCode" do JSON (ex:
+ *      ["0x2008000a", "0x01095020"]), com o tratador opcional em
+ *      "handlerMachineCode".
+ *
+ * 8. Diretivas do Montador e Segmentos
+ *    - Segmentos nos endereços convencionais do SPIM/MARS:
+ *      * .text [endereço]   // Instruções, a partir de 0x00400000 (início do PC)
+ *      * .data [endereço]   // Dados, a partir de 0x10010000
+ *      * .ktext [endereço]  // Tratador de exceções, a partir de 0x80000180
+ *    - Dados (apenas em .data):
+ *      * .word v1, v2, ...  // Words de 32 bits (números ou labels)
+ *      * .half v1, v2, ...  // Halfwords de 16 bits
+ *      * .byte v1, v2, ...  // Bytes
+ *      * .space n           // n bytes zerados
+ *      * .ascii "texto"     // Bytes da string, sem terminador
+ *      * .asciiz "texto"    // Bytes da string terminada em 0
+ *      * .align n           // Alinha o próximo dado em 2^n bytes
+ *    - .word e .half são alinhados automaticamente ao seu tamanho
+ *    - .globl label é aceita e ignorada
+ *    - Labels de dados valem o endereço em bytes e podem ser usados em
+ *      la $rd, label e lw/sw/lh/lb... $rt, label (expandidos com lui $at)
+ *    - A pilha fica logo abaixo de $sp (0x7FFFEFFC); a região baixa a partir
+ *      do endereço 0 continua disponível para o campo "memoria" do JSON
+ *    - Erros de montagem não descartam a linha: loadProgram devolve uma lista
+ *      de diagnósticos (linha, coluna, gravidade e mensagem, ex: "label
+ *      indefinido foo") e um programa com erros não é executado
+ *
+ * 9. Chamadas de Sistema (syscall)
+ *    - Convenção do SPIM/MARS: serviço em $v0, argumentos em $a0/$a1
+ *      * 1  print_int     // Escreve o inteiro $a0 no console
+ *      * 4  print_string  // Escreve a string terminada em 0 no endereço $a0
+ *      * 5  read_int      // Lê um inteiro da entrada para $v0
+ *      * 8  read_string   // Lê uma linha para o buffer $a0 de $a1 bytes
+ *      * 9  sbrk          // Reserva $a0 bytes no heap; endereço em $v0
+ *      * 10 exit          // Termina o programa
+ *      * 11 print_char    // Escreve o caractere $a0 no console
+ *    - O syscall é executado no estágio MEM, quando todas as instruções mais
+ *      antigas já escreveram $v0/$a0/$a1; o $v0 lido por read_int/sbrk é
+ *      adiantado do MEM como o valor de um load
+ *    - A entrada vem do campo "input" do JSON (uma linha por item) ou, quando
+ *      ele acaba, do console da interface; sem entrada o pipeline fica parado
+ *    - Serviço desconhecido gera a exceção Sys
  */
 
+// Mensagens de depuração do simulador: ligadas no navegador e desligadas no
+// Node.js, onde a saída padrão costuma ser usada por scripts
+let debugLogging = typeof document !== 'undefined';
+
+function setDebugLogging(enabled) {
+   debugLogging = enabled;
+}
+
+function debugLog(...args) {
+   if (debugLogging) console.log(...args);
+}
+
 // Definição dos tipos de instruções
 const InstructionType = {
-   R_TYPE: 'R_TYPE',    // add, sub, mul
-   I_TYPE: 'I_TYPE',    // lw, sw, beq
-   J_TYPE: 'J_TYPE',     // j
-   NOP: 'NOP'
+   R_TYPE: 'R_TYPE',    // add, sub, mul, and, or, slt, sll, jr, jalr, ...
+   I_TYPE: 'I_TYPE',    // lw, sw, lb, sh, beq, bne, addi, ori, lui, ...
+   J_TYPE: 'J_TYPE',     // j, jal
+   COP0: 'COP0',         // mfc0, mtc0, eret
+   SYSCALL: 'SYSCALL',   // syscall
+   NOP: 'NOP',
+   INVALID: 'INVALID'    // Instrução reservada ou busca inválida (gera exceção)
+};
+
+// Definição dos opcodes
+const Opcode = {
+   ADD: 'add',    // Soma dois registradores
+   SUB: 'sub',    // Subtrai dois registradores
+   ADDU: 'addu',  // Soma sem overflow
+   SUBU: 'subu',  // Subtração sem overflow
+   MUL: 'mul',    // Multiplica dois registradores
+   MULT: 'mult',  // Multiplica com resultado de 64 bits em HI:LO
+   MULTU: 'multu',// Multiplica sem sinal em HI:LO
+   DIV: 'div',    // Divide: quociente em LO, resto em HI
+   DIVU: 'divu',  // Divide sem sinal em HI/LO
+   MFHI: 'mfhi',  // Move from HI
+   MFLO: 'mflo',  // Move from LO
+   AND: 'and',    // AND bit a bit
+   OR: 'or',      // OR bit a bit
+   XOR: 'xor',    // XOR bit a bit
+   NOR: 'nor',    // NOR bit a bit
+   SLT: 'slt',    // Set less than
+   SLTU: 'sltu',  // Set less than sem sinal
+   SLL: 'sll',    // Shift left logical (shamt)
+   SRL: 'srl',    // Shift right logical (shamt)
+   SRA: 'sra',    // Shift right arithmetic (shamt)
+   SLLV: 'sllv',  // Shift left logical variável
+   SRLV: 'srlv',  // Shift right logical variável
+   SRAV: 'srav',  // Shift right arithmetic variável
+   LW: 'lw',      // Carrega da memória
+   SW: 'sw',      // Armazena na memória
+   LH: 'lh',      // Carrega halfword com sinal
+   LHU: 'lhu',    // Carrega halfword sem sinal
+   LB: 'lb',      // Carrega byte com sinal
+   LBU: 'lbu',    // Carrega byte sem sinal
+   SH: 'sh',      // Armazena halfword
+   SB: 'sb',      // Armazena byte
+   BEQ: 'beq',    // Branch if equal
+   BNE: 'bne',    // Branch if not equal
+   BLEZ: 'blez',  // Branch if less than or equal to zero
+   BGTZ: 'bgtz',  // Branch if greater than zero
+   BLTZ: 'bltz',  // Branch if less than zero
+   BGEZ: 'bgez',  // Branch if greater than or equal to zero
+   ADDI: 'addi',  // Soma com imediato
+   ADDIU: 'addiu',// Soma com imediato sem overflow
+   ANDI: 'andi',  // AND com imediato
+   ORI: 'ori',    // OR com imediato
+   XORI: 'xori',  // XOR com imediato
+   SLTI: 'slti',  // Set less than imediato
+   SLTIU: 'sltiu',// Set less than imediato sem sinal
+   LUI: 'lui',    // Carrega imediato nos 16 bits superiores
+   J: 'j',        // Jump incondicional
+   JAL: 'jal',    // Jump and link ($ra = endereço de retorno)
+   JR: 'jr',      // Jump register
+   JALR: 'jalr',  // Jump and link register
+   MFC0: 'mfc0',  // Move from coprocessor 0
+   MTC0: 'mtc0',  // Move to coprocessor 0
+   ERET: 'eret',  // Retorno de exceção
+   SYSCALL: 'syscall', // Chamada de sistema (serviço em $v0)
+   NOP: 'nop'     // No operation
+};
+
+// Instruções de acesso à memória e tamanho do acesso em bytes
+const MemoryAccessSize = {
+   [Opcode.LW]: 4, [Opcode.SW]: 4,
+   [Opcode.LH]: 2, [Opcode.LHU]: 2, [Opcode.SH]: 2,
+   [Opcode.LB]: 1, [Opcode.LBU]: 1, [Opcode.SB]: 1
+};
+
+// Loads (escrevem em rt) e stores
+const LoadOpcodes = [Opcode.LW, Opcode.LH, Opcode.LHU, Opcode.LB, Opcode.LBU];
+const StoreOpcodes = [Opcode.SW, Opcode.SH, Opcode.SB];
+
+// Loads cujo valor lido é estendido com sinal
+const SignedLoadOpcodes = [Opcode.LW, Opcode.LH, Opcode.LB];
+
+// Tamanho em bytes de cada região da memória de dados
+const MEMORY_SIZE = 4096;
+
+// Endereços base convencionais (SPIM/MARS)
+const TEXT_BASE_ADDRESS = 0x00400000;      // Segmento de texto (.text)
+const DATA_BASE_ADDRESS = 0x10010000;      // Segmento de dados (.data)
+const STACK_POINTER_ADDRESS = 0x7FFFEFFC;  // Valor inicial de $sp
+const HEAP_BASE_ADDRESS = 0x10040000;      // Heap (sbrk)
+
+// Regiões mapeadas da memória de dados, cada uma com MEMORY_SIZE bytes
+// A região baixa (a partir de 0) é a usada pelo campo "memoria" do JSON
+const MemoryRegions = [
+   { name: 'baixa', base: 0 },
+   { name: 'dados', base: DATA_BASE_ADDRESS },
+   { name: 'heap', base: HEAP_BASE_ADDRESS },
+   { name: 'pilha', base: STACK_POINTER_ADDRESS + 4 - MEMORY_SIZE }
+];
+
+// Segmentos do montador
+const Segment = {
+   TEXT: 'text',    // Instruções do programa
+   DATA: 'data',    // Dados iniciais
+   KTEXT: 'ktext'   // Tratador de exceções
+};
+
+// Diretivas que trocam o segmento corrente (aceitam um endereço opcional)
+const SegmentDirectives = {
+   '.text': Segment.TEXT,
+   '.data': Segment.DATA,
+   '.ktext': Segment.KTEXT
+};
+
+// Gravidade dos diagnósticos do montador
+const DiagnosticSeverity = {
+   ERROR: 'error',     // Impede a execução do programa
+   WARNING: 'warning'  // Apenas informativo
+};
+
+// Eventos emitidos pelo simulador (assinados com pipeline.on)
+const SimulatorEvent = {
+   CYCLE: 'cycle',            // Fim de um ciclo: { cycle, pc, stalled }
+   STALL: 'stall',            // Ciclo com stall: { cycle, instruction, cause }
+   RETIRE: 'retire',          // Instrução concluída no WB: { cycle, instruction, pc }
+   LOAD_ERROR: 'load-error',  // Programa carregado com erros: lista de diagnósticos
+   HALT: 'halt',              // Programa terminou: { reason, cycle, retired, pc, exception }
+   FORWARD: 'forward',        // Valor adiantado: { register, from, to } (ver recordForward)
+   OUTPUT: 'output',          // Texto escrito por syscall: { text }
+   INPUT_REQUEST: 'input-request',  // syscall aguardando entrada: { service }
+   REWIND: 'rewind',          // Estado restaurado do histórico: { cycle }
+   EXCEPTION: 'exception',    // Exceção tratada no MEM: { cycle, code, epc, badVAddr, handled }
+   BREAKPOINT: 'breakpoint'   // Ponto de parada atingido: { cycle, hits } (ver breakpointHits)
+};
+
+// Serviços de syscall (número em $v0)
+const SyscallService = {
+   PRINT_INT: 1,
+   PRINT_STRING: 4,
+   READ_INT: 5,
+   READ_STRING: 8,
+   SBRK: 9,
+   EXIT: 10,
+   PRINT_CHAR: 11
+};
+
+// Motivos de término da execução (pipeline.haltReason)
+const HaltReason = {
+   END_OF_PROGRAM: 'end-of-program',     // O PC passou da última instrução e o pipeline esvaziou
+   UNMAPPED_ADDRESS: 'unmapped-address', // Desvio para um endereço sem instrução
+   UNHANDLED_EXCEPTION: 'unhandled-exception', // Exceção sem tratador carregado (ver unhandledException)
+   EXIT: 'exit'                          // syscall exit
+};
+
+// Causas de stall contadas nas estatísticas
+const StallCause = {
+   LOAD_USE: 'load-use',                    // Instrução depende de um load ainda no pipeline
+   DATA: 'data',                            // Outra dependência RAW (sem forwarding possível)
+   STRUCTURAL_MUL: 'structural-mul',        // Conflito na unidade de multiplicação
+   CONTROL: 'control',                      // Predição errada de branch ou jump
+   INPUT: 'input',                          // syscall de leitura esperando entrada
+   CACHE_MISS: 'cache-miss',                // Load/store esperando uma falta na cache de dados
+   ICACHE_MISS: 'icache-miss'               // Busca esperando uma falta na cache de instruções
+};
+
+// Prioridade das causas quando mais de uma para o pipeline no mesmo ciclo:
+// espera por entrada ou por uma falta de cache > estrutural > dados > controle.
+// Cada ciclo de stall é contado para uma única causa
+const StallCausePriority = [
+   StallCause.INPUT,
+   StallCause.CACHE_MISS,
+   StallCause.ICACHE_MISS,
+   StallCause.STRUCTURAL_MUL,
+   StallCause.LOAD_USE,
+   StallCause.DATA,
+   StallCause.CONTROL
+];
+
+// Caminhos de forwarding contados nas estatísticas (estágio de origem -> destino)
+const ForwardingPath = {
+   EX_EX: 'EX->EX',
+   MEM_EX: 'MEM->EX',
+   MEM_ID: 'MEM->ID'
+};
+
+// Contadores de desempenho zerados (ver getStatistics)
+function createStatistics() {
+   const stalls = {};
+   Object.values(StallCause).forEach(cause => { stalls[cause] = 0; });
+   const forwards = {};
+   Object.values(ForwardingPath).forEach(path => { forwards[path] = 0; });
+   return { stallCycles: 0, stalls, flushes: 0, forwards, branches: { total: 0, taken: 0, mispredicted: 0 } };
+}
+
+// Políticas de predição de branch (pipeline.predictorType)
+const PredictorType = {
+   NOT_TAKEN: 'not-taken',        // Busca sempre PC + 4, sem BTB; branch tomado descarta a instrução buscada
+   ALWAYS_TAKEN: 'always-taken',  // Todo branch no BTB é tomado
+   BTFNT: 'btfnt',                // Para trás tomado, para frente não tomado
+   ONE_BIT: '1-bit',              // Último resultado, um bit por entrada
+   TWO_BIT: '2-bit',              // Contador saturado de 2 bits por entrada
+   GSHARE: 'gshare',              // Contadores de 2 bits indexados por endereço XOR histórico global
+   TOURNAMENT: 'tournament'       // Seletor entre 2 bits local e gshare
+};
+
+// Tamanho em bytes de cada valor das diretivas de dados numéricos
+const DataDirectiveSize = {
+   '.word': 4,
+   '.half': 2,
+   '.byte': 1
+};
+
+// Diretivas que só podem aparecer no segmento .data
+const DataDirectives = ['.word', '.half', '.byte', '.space', '.ascii', '.asciiz', '.align'];
+
+// Ordem dos bytes dentro de uma word
+const Endianness = {
+   BIG: 'big',       // Byte mais significativo no menor endereço (padrão MIPS)
+   LITTLE: 'little'  // Byte menos significativo no menor endereço
+};
+
+// Registradores do Coprocessador 0
+const CP0Register = {
+   BAD_VADDR: 8,  // Endereço que causou a última exceção de endereço
+   STATUS: 12,    // Estado do processador (bit EXL)
+   CAUSE: 13,     // Código da última exceção (bits 6:2)
+   EPC: 14        // Endereço da instrução que causou a exceção
+};
+
+// Nomes aceitos para os registradores do CP0 (além de $0-$31)
+const CP0RegisterAlias = {
+   '$badvaddr': CP0Register.BAD_VADDR,
+   '$status': CP0Register.STATUS,
+   '$cause': CP0Register.CAUSE,
+   '$epc': CP0Register.EPC
+};
+
+// Bit EXL do Status: processador em nível de exceção
+const STATUS_EXL = 1 << 1;
+
+// Máscara do campo ExcCode no registrador Cause
+const CAUSE_EXCCODE_MASK = 0x1F << 2;
+
+// Bit BD do Cause: a exceção ocorreu no delay slot de um branch ou jump
+const CAUSE_BD = 1 << 31;
+
+// Códigos de exceção (campo ExcCode do Cause)
+const ExceptionCode = {
+   ADDRESS_LOAD: 4,           // AdEL: endereço inválido em load ou busca
+   ADDRESS_STORE: 5,          // AdES: endereço inválido em store
+   SYSCALL: 8,                // Sys: serviço de syscall desconhecido
+   RESERVED_INSTRUCTION: 10,  // RI: instrução desconhecida
+   OVERFLOW: 12               // Ov: overflow aritmético
+};
+
+// Nomes curtos das exceções para exibição
+const ExceptionName = {
+   [ExceptionCode.ADDRESS_LOAD]: 'AdEL',
+   [ExceptionCode.ADDRESS_STORE]: 'AdES',
+   [ExceptionCode.SYSCALL]: 'Sys',
+   [ExceptionCode.RESERVED_INSTRUCTION]: 'RI',
+   [ExceptionCode.OVERFLOW]: 'Ov'
 };
 
-// Definição dos opcodes
-const Opcode = {
-   ADD: 'add',    // Soma dois registradores
-   SUB: 'sub',    // Subtrai dois registradores
-   MUL: 'mul',    // Multiplica dois registradores
-   LW: 'lw',      // Carrega da memória
-   SW: 'sw',      // Armazena na memória
-   BEQ: 'beq',    // Branch if equal
-   J: 'j',        // Jump incondicional
-   NOP: 'nop'     // No operation
+// Endereço do tratador de exceções
+const EXCEPTION_HANDLER_ADDRESS = 0x80000180;
+
+// Branches condicionais (resolvidos por evaluateBranch)
+const BranchOpcodes = [Opcode.BEQ, Opcode.BNE, Opcode.BLEZ, Opcode.BGTZ, Opcode.BLTZ, Opcode.BGEZ];
+
+// Branches que comparam $rs com zero: op $rs, label
+const BranchZeroOpcodes = [Opcode.BLEZ, Opcode.BGTZ, Opcode.BLTZ, Opcode.BGEZ];
+
+// Instruções que escrevem em HI/LO: op $rs, $rt
+const HiLoWriteOpcodes = [Opcode.MULT, Opcode.MULTU, Opcode.DIV, Opcode.DIVU];
+
+// Instruções que leem HI/LO: op $rd
+const HiLoReadOpcodes = [Opcode.MFHI, Opcode.MFLO];
+
+// Deslocamentos por constante: op $rd, $rt, shamt (não leem rs)
+const ShiftImmediateOpcodes = [Opcode.SLL, Opcode.SRL, Opcode.SRA];
+
+// Deslocamentos variáveis: op $rd, $rt, $rs (quantidade em rs)
+const ShiftVariableOpcodes = [Opcode.SLLV, Opcode.SRLV, Opcode.SRAV];
+
+// Instruções I-type de ALU com imediato (escrevem em rt)
+const ImmediateALUOpcodes = [
+   Opcode.ADDI, Opcode.ADDIU, Opcode.ANDI, Opcode.ORI,
+   Opcode.XORI, Opcode.SLTI, Opcode.SLTIU, Opcode.LUI
+];
+
+// Instruções cujo imediato é estendido com sinal (as demais estendem com zeros)
+const SignExtendedOpcodes = [Opcode.ADDI, Opcode.ADDIU, Opcode.SLTI, Opcode.SLTIU];
+
+// Estados do preditor de branch
+const BranchState = {
+   STRONGLY_TAKEN: 3,      // Fortemente tomado
+   WEAKLY_TAKEN: 2,        // Fracamente tomado
+   WEAKLY_NOT_TAKEN: 1,    // Fracamente não tomado
+   STRONGLY_NOT_TAKEN: 0   // Fortemente não tomado
+};
+
+// Nomes ABI dos registradores, na ordem dos números $0-$31
+const RegisterABINames = [
+   '$zero', '$at', '$v0', '$v1', '$a0', '$a1', '$a2', '$a3',
+   '$t0', '$t1', '$t2', '$t3', '$t4', '$t5', '$t6', '$t7',
+   '$s0', '$s1', '$s2', '$s3', '$s4', '$s5', '$s6', '$s7',
+   '$t8', '$t9', '$k0', '$k1', '$gp', '$sp', '$fp', '$ra'
+];
+
+// Registradores com significado especial
+const Register = {
+   ZERO: 0,   // Sempre vale 0, escritas são ignoradas
+   AT: 1,     // Temporário do montador (pseudo-instruções)
+   V0: 2,     // Serviço e resultado de syscall
+   A0: 4,     // Primeiro argumento de syscall
+   A1: 5,     // Segundo argumento de syscall
+   SP: 29,    // Stack pointer (inicia no topo da memória)
+   RA: 31     // Endereço de retorno (jal)
+};
+
+// Estilos de exibição dos nomes de registradores
+const RegisterNamingStyle = {
+   ABI: 'abi',         // $zero, $t0, $sp, ...
+   NUMERIC: 'numeric'  // $0, $8, $29, ...
+};
+
+// Estilo usado por toString() e pelo painel de registradores
+let registerNamingStyle = RegisterNamingStyle.ABI;
+
+// Altera o estilo usado por getRegisterName (e por toString das instruções)
+function setRegisterNamingStyle(style) {
+   registerNamingStyle = style;
+}
+
+// Mapeamento de aliases de registradores para índices (nomes ABI e $0-$31)
+const RegisterAlias = {};
+for (let i = 0; i <= 31; i++) {
+   RegisterAlias[RegisterABINames[i]] = i;
+   RegisterAlias[`$${i}`] = i;
+}
+RegisterAlias['$s8'] = 30; // Nome alternativo de $fp
+
+// Mapeamento inverso para exibição
+const RegisterName = {};
+for (let i = 0; i <= 31; i++) {
+   RegisterName[i] = RegisterABINames[i];
+}
+
+// Retorna o nome do registrador no estilo de exibição selecionado
+function getRegisterName(index) {
+   if (registerNamingStyle === RegisterNamingStyle.NUMERIC) {
+      return `$${index}`;
+   }
+   return RegisterName[index];
+}
+
+// Verifica se a instrução é um branch condicional
+function isBranchInstruction(instruction) {
+   return BranchOpcodes.includes(instruction.opcode);
+}
+
+// Jumps com alvo em registrador (jr, jalr)
+const JumpRegisterOpcodes = [Opcode.JR, Opcode.JALR];
+
+// Verifica se a instrução altera o fluxo de controle (branch ou jump)
+function isControlInstruction(instruction) {
+   return isBranchInstruction(instruction) ||
+      instruction.opcode === Opcode.J ||
+      instruction.opcode === Opcode.JAL ||
+      instruction.opcode === Opcode.ERET ||
+      JumpRegisterOpcodes.includes(instruction.opcode);
+}
+
+// Verifica se a instrução produz seu resultado na ALU (disponível após EX)
+// O endereço de retorno de jal/jalr e a leitura do mfc0 também são feitos em EX
+function isALUInstruction(instruction) {
+   return instruction.type === InstructionType.R_TYPE ||
+      ImmediateALUOpcodes.includes(instruction.opcode) ||
+      instruction.opcode === Opcode.JAL ||
+      instruction.opcode === Opcode.MFC0;
+}
+
+// Verifica se a instrução só tem o resultado depois do MEM (loads e o $v0 dos syscalls)
+function isMemoryResultInstruction(instruction) {
+   return LoadOpcodes.includes(instruction.opcode) || instruction.opcode === Opcode.SYSCALL;
+}
+
+// Verifica se um resultado de soma/subtração não cabe em 32 bits com sinal
+function overflows(value) {
+   return value > 0x7FFFFFFF || value < -0x80000000;
+}
+
+// Retorna o registrador escrito pela instrução, ou null (escritas em $zero não contam)
+function getDestinationRegister(instruction) {
+   let dest = null;
+   if (instruction.opcode === Opcode.JAL) {
+      dest = Register.RA;
+   } else if (instruction.opcode === Opcode.SYSCALL) {
+      dest = Register.V0;  // read_int e sbrk; os demais serviços reescrevem o mesmo valor
+   } else if (instruction.type === InstructionType.R_TYPE) {
+      dest = instruction.rd;
+   } else if (LoadOpcodes.includes(instruction.opcode) ||
+      ImmediateALUOpcodes.includes(instruction.opcode) ||
+      instruction.opcode === Opcode.MFC0) {
+      dest = instruction.rt;
+   }
+   return dest === Register.ZERO ? null : dest;
+}
+
+// Retorna os campos de registrador lidos pela instrução ('rs' e/ou 'rt')
+function getSourceFields(instruction) {
+   switch (instruction.opcode) {
+      case Opcode.LUI:
+         return [];
+      case Opcode.LW:
+      case Opcode.LH:
+      case Opcode.LHU:
+      case Opcode.LB:
+      case Opcode.LBU:
+      case Opcode.JR:
+      case Opcode.JALR:
+         return ['rs'];
+      case Opcode.MTC0:
+         return ['rt'];
+      case Opcode.MFHI:
+      case Opcode.MFLO:
+         return [];
+      case Opcode.SW:
+      case Opcode.SH:
+      case Opcode.SB:
+      case Opcode.BEQ:
+      case Opcode.BNE:
+         return ['rs', 'rt'];
+      case Opcode.BLEZ:
+      case Opcode.BGTZ:
+      case Opcode.BLTZ:
+      case Opcode.BGEZ:
+         return ['rs'];
+      default:
+         if (ShiftImmediateOpcodes.includes(instruction.opcode)) return ['rt'];
+         if (instruction.type === InstructionType.R_TYPE) return ['rs', 'rt'];
+         if (ImmediateALUOpcodes.includes(instruction.opcode)) return ['rs'];
+         return [];
+   }
+}
+
+// Retorna os registradores lidos pela instrução (leituras de $zero não geram dependência)
+function getSourceRegisters(instruction) {
+   return getSourceFields(instruction)
+      .map(field => instruction[field])
+      .filter(reg => reg !== Register.ZERO);
+}
+
+/**
+ * Erro de acesso à memória
+ *
+ * Lançado por readMemory/writeMemory quando o endereço está fora da memória
+ * ou não está alinhado ao tamanho do acesso.
+ */
+class MemoryAccessError extends Error {
+   constructor(message, address, isStore) {
+      super(message);
+      this.name = 'MemoryAccessError';
+      this.address = address;  // Endereço que causou o erro
+      this.isStore = isStore;  // true para stores, false para loads
+   }
+}
+
+/**
+ * Classe que representa uma instrução MIPS
+ *
+ * Esta classe encapsula todas as informações necessárias para representar
+ * uma instrução MIPS, incluindo seu tipo, opcode e operandos.
+ *
+ * Campos:
+ * - type: Tipo da instrução (R_TYPE, I_TYPE, J_TYPE, NOP)
+ * - opcode: Código da operação (add, sub, mul, lw, sw, beq, bne, j, ...)
+ * - rs: Primeiro registrador fonte (para R-type e I-type)
+ * - rt: Segundo registrador fonte (para R-type) ou registrador destino (para I-type)
+ * - rd: Registrador destino (para R-type)
+ * - offset: Deslocamento para instruções de memória e branch
+ * - target: Endereço alvo para instruções de jump
+ * - immediate: Imediato já estendido para 32 bits (addi, ori, lui, ...)
+ * - shamt: Quantidade de deslocamento para sll, srl e sra
+ *
+ * Métodos:
+ * - toString(): Retorna a representação em string da instrução
+ */
+class Instruction {
+   constructor(type, opcode, rs = Register.ZERO, rt = Register.ZERO, rd = Register.ZERO,
+               offset = 0, target = 0, immediate = 0, shamt = 0) {
+      this.type = type;      // Tipo da instrução (R_TYPE, I_TYPE, J_TYPE, NOP)
+      this.opcode = opcode;  // Código da operação
+      this.rs = rs;         // Primeiro registrador fonte
+      this.rt = rt;         // Segundo registrador fonte ou destino
+      this.rd = rd;         // Registrador destino
+      this.offset = offset; // Deslocamento para memória/branch
+      this.target = target; // Endereço alvo para jump
+      this.immediate = immediate; // Imediato estendido para 32 bits
+      this.shamt = shamt;   // Quantidade de deslocamento (shift por constante)
+      this.labelName = null; // Nome do label de destino (branches e jumps)
+      this.word = null;     // Palavra de 32 bits codificada (null para bolhas)
+   }
+
+   /**
+    * Retorna a representação em string da instrução
+    *
+    * O formato da string depende do tipo da instrução:
+    * - R-type: "op $rd, $rs, $rt"
+    * - R-type (shift): "op $rd, $rt, shamt" ou "op $rd, $rt, $rs"
+    * - R-type (jr/jalr): "jr $rs" ou "jalr $rd, $rs"
+    * - R-type (HI/LO): "mult $rs, $rt" ou "mfhi $rd"
+    * - I-type (lw/sw): "op $rt, offset($rs)"
+    * - I-type (beq/bne): "op $rs, $rt, destino"
+    * - I-type (blez/bgtz/bltz/bgez): "op $rs, destino"
+    * - I-type (ALU): "op $rt, $rs, imm" ou "lui $rt, imm"
+    * - J-type: "op destino"
+    *
+    * O destino de branches e jumps é o label ou o endereço em bytes (ex:
+    * 0x00400008), de modo que o texto pode ser montado de novo
+    * - COP0: "mfc0 $rt, $rd", "mtc0 $rt, $rd" ou "eret"
+    * - Syscall: "syscall"
+    * - NOP: "nop"
+    * - Inválida: "[instrução inválida] texto original"
+    */
+   toString() {
+      switch (this.type) {
+         case InstructionType.R_TYPE:
+            if (this.opcode === Opcode.JR) {
+               return `${this.opcode} ${getRegisterName(this.rs)}`;
+            } else if (HiLoWriteOpcodes.includes(this.opcode)) {
+               return `${this.opcode} ${getRegisterName(this.rs)}, ${getRegisterName(this.rt)}`;
+            } else if (HiLoReadOpcodes.includes(this.opcode)) {
+               return `${this.opcode} ${getRegisterName(this.rd)}`;
+            } else if (this.opcode === Opcode.JALR) {
+               return `${this.opcode} ${getRegisterName(this.rd)}, ${getRegisterName(this.rs)}`;
+            } else if (ShiftImmediateOpcodes.includes(this.opcode)) {
+               return `${this.opcode} ${getRegisterName(this.rd)}, ${getRegisterName(this.rt)}, ${this.shamt}`;
+            } else if (ShiftVariableOpcodes.includes(this.opcode)) {
+               return `${this.opcode} ${getRegisterName(this.rd)}, ${getRegisterName(this.rt)}, ${getRegisterName(this.rs)}`;
+            }
+            return `${this.opcode} ${getRegisterName(this.rd)}, ${getRegisterName(this.rs)}, ${getRegisterName(this.rt)}`;
+         case InstructionType.I_TYPE:
+            if (BranchZeroOpcodes.includes(this.opcode)) {
+               return `${this.opcode} ${getRegisterName(this.rs)}, ${this.formatTarget(this.offset)}`;
+            } else if (BranchOpcodes.includes(this.opcode)) {
+               return `${this.opcode} ${getRegisterName(this.rs)}, ${getRegisterName(this.rt)}, ${this.formatTarget(this.offset)}`;
+            } else if (this.opcode === Opcode.LUI) {
+               return `${this.opcode} ${getRegisterName(this.rt)}, ${this.immediate}`;
+            } else if (ImmediateALUOpcodes.includes(this.opcode)) {
+               return `${this.opcode} ${getRegisterName(this.rt)}, ${getRegisterName(this.rs)}, ${this.immediate}`;
+            } else {
+               return `${this.opcode} ${getRegisterName(this.rt)}, ${this.offset}(${getRegisterName(this.rs)})`;
+            }
+         case InstructionType.J_TYPE:
+            return `${this.opcode} ${this.formatTarget(this.target)}`;
+         case InstructionType.COP0:
+            if (this.opcode === Opcode.ERET) return 'eret';
+            return `${this.opcode} ${getRegisterName(this.rt)}, $${this.rd}`;
+         case InstructionType.SYSCALL:
+            return 'syscall';
+         case InstructionType.NOP:
+            return 'nop';
+         default:
+            if (this.fetchException) return '[busca desalinhada]';
+            return this.source ? `[instrução inválida] ${this.source}` : '[instrução inválida]';
+      }
+   }
+
+   // Mostra o destino como o montador o aceita: o label, quando houver, ou
+   // o endereço em bytes da instrução de destino
+   formatTarget(index) {
+      return this.labelName || formatWord(index * 4);
+   }
+}
+
+// Codificação binária: campo opcode (bits 31-26) das instruções I, J e COP0
+const OpcodeField = {
+   [Opcode.BEQ]: 0x04,
+   [Opcode.BNE]: 0x05,
+   [Opcode.BLEZ]: 0x06,
+   [Opcode.BGTZ]: 0x07,
+   [Opcode.ADDI]: 0x08,
+   [Opcode.ADDIU]: 0x09,
+   [Opcode.SLTI]: 0x0A,
+   [Opcode.SLTIU]: 0x0B,
+   [Opcode.ANDI]: 0x0C,
+   [Opcode.ORI]: 0x0D,
+   [Opcode.XORI]: 0x0E,
+   [Opcode.LUI]: 0x0F,
+   [Opcode.LB]: 0x20,
+   [Opcode.LH]: 0x21,
+   [Opcode.LW]: 0x23,
+   [Opcode.LBU]: 0x24,
+   [Opcode.LHU]: 0x25,
+   [Opcode.SB]: 0x28,
+   [Opcode.SH]: 0x29,
+   [Opcode.SW]: 0x2B,
+   [Opcode.J]: 0x02,
+   [Opcode.JAL]: 0x03
+};
+
+// Campo funct (bits 5-0) das instruções R-type (opcode SPECIAL = 0)
+const FunctField = {
+   [Opcode.SLL]: 0x00,
+   [Opcode.SRL]: 0x02,
+   [Opcode.SRA]: 0x03,
+   [Opcode.SLLV]: 0x04,
+   [Opcode.SRLV]: 0x06,
+   [Opcode.SRAV]: 0x07,
+   [Opcode.JR]: 0x08,
+   [Opcode.JALR]: 0x09,
+   [Opcode.MFHI]: 0x10,
+   [Opcode.MFLO]: 0x12,
+   [Opcode.MULT]: 0x18,
+   [Opcode.MULTU]: 0x19,
+   [Opcode.DIV]: 0x1A,
+   [Opcode.DIVU]: 0x1B,
+   [Opcode.ADD]: 0x20,
+   [Opcode.ADDU]: 0x21,
+   [Opcode.SUB]: 0x22,
+   [Opcode.SUBU]: 0x23,
+   [Opcode.AND]: 0x24,
+   [Opcode.OR]: 0x25,
+   [Opcode.XOR]: 0x26,
+   [Opcode.NOR]: 0x27,
+   [Opcode.SLT]: 0x2A,
+   [Opcode.SLTU]: 0x2B
+};
+
+// Opcodes especiais: mul (SPECIAL2), bltz/bgez (REGIMM, distinguidos por rt) e COP0
+const OPCODE_SPECIAL = 0x00;
+const OPCODE_REGIMM = 0x01;
+const OPCODE_COP0 = 0x10;
+const OPCODE_SPECIAL2 = 0x1C;
+const FUNCT_MUL = 0x02;
+const RegimmRtField = { [Opcode.BLTZ]: 0x00, [Opcode.BGEZ]: 0x01 };
+const Cop0RsField = { [Opcode.MFC0]: 0x00, [Opcode.MTC0]: 0x04 };
+const ERET_WORD = 0x42000018;
+const SYSCALL_WORD = 0x0000000C;
+
+// Tabelas inversas usadas pelo disassembler
+const OpcodeByField = {};
+for (const [opcode, field] of Object.entries(OpcodeField)) OpcodeByField[field] = opcode;
+const OpcodeByFunct = {};
+for (const [opcode, funct] of Object.entries(FunctField)) OpcodeByFunct[funct] = opcode;
+
+// Estende um imediato de 16 bits para 32 bits (com sinal ou com zeros)
+function extendImmediate(value, signed) {
+   const field = value & 0xFFFF;
+   return signed ? (field << 16) >> 16 : field;
+}
+
+// Formata uma palavra de 32 bits em hexadecimal (ex: 0x2008000a)
+function formatWord(value) {
+   return `0x${(value >>> 0).toString(16).padStart(8, '0')}`;
+}
+
+// Separa uma palavra de 32 bits nos campos dos formatos R, I e J
+function splitInstructionWord(word) {
+   return {
+      opcode: (word >>> 26) & 0x3F,
+      rs: (word >>> 21) & 0x1F,
+      rt: (word >>> 16) & 0x1F,
+      rd: (word >>> 11) & 0x1F,
+      shamt: (word >>> 6) & 0x1F,
+      funct: word & 0x3F,
+      imm: word & 0xFFFF,
+      target: word & 0x3FFFFFF
+   };
+}
+
+function packRType(opcode, rs, rt, rd, shamt, funct) {
+   return ((opcode << 26) | (rs << 21) | (rt << 16) | (rd << 11) | (shamt << 6) | funct) >>> 0;
+}
+
+function packIType(opcode, rs, rt, imm) {
+   return ((opcode << 26) | (rs << 21) | (rt << 16) | (imm & 0xFFFF)) >>> 0;
+}
+
+/**
+ * Codifica uma instrução na palavra de 32 bits correspondente
+ *
+ * address é o endereço em bytes da instrução, necessário porque o campo dos
+ * branches é relativo a PC + 4 (em palavras) e o dos jumps guarda apenas os
+ * 26 bits baixos do índice de destino. Retorna null para instruções inválidas.
+ * Lança Error quando o destino não cabe no campo (branch além de 16 bits ou
+ * jump para fora da região de 256MB de PC + 4).
+ */
+function encodeInstruction(instruction, address) {
+   const { opcode, rs, rt, rd } = instruction;
+   switch (instruction.type) {
+      case InstructionType.NOP:
+         return 0;
+      case InstructionType.R_TYPE:
+         if (opcode === Opcode.MUL) {
+            return packRType(OPCODE_SPECIAL2, rs, rt, rd, 0, FUNCT_MUL);
+         }
+         return packRType(OPCODE_SPECIAL, rs, rt, rd, instruction.shamt, FunctField[opcode]);
+      case InstructionType.I_TYPE:
+         if (BranchOpcodes.includes(opcode)) {
+            // offset guarda o índice absoluto do destino
+            const relative = instruction.offset - (address / 4 + 1);
+            if (relative < -32768 || relative > 32767) {
+               throw new Error(`destino do branch fora do alcance de 16 bits (${relative} instruções)`);
+            }
+            if (RegimmRtField.hasOwnProperty(opcode)) {
+               return packIType(OPCODE_REGIMM, rs, RegimmRtField[opcode], relative);
+            }
+            return packIType(OpcodeField[opcode], rs, rt, relative);
+         }
+         if (MemoryAccessSize[opcode]) {
+            return packIType(OpcodeField[opcode], rs, rt, instruction.offset);
+         }
+         return packIType(OpcodeField[opcode], rs, rt, instruction.immediate);
+      case InstructionType.J_TYPE:
+         if (((instruction.target * 4) & 0xF0000000) !== ((address + 4) & 0xF0000000)) {
+            throw new Error(`destino do jump ${formatWord(instruction.target * 4)} fora da região de 256MB da instrução`);
+         }
+         return ((OpcodeField[opcode] << 26) | (instruction.target & 0x3FFFFFF)) >>> 0;
+      case InstructionType.COP0:
+         if (opcode === Opcode.ERET) return ERET_WORD;
+         return packRType(OPCODE_COP0, Cop0RsField[opcode], rt, rd, 0, 0);
+      case InstructionType.SYSCALL:
+         return SYSCALL_WORD;
+      default:
+         return null;
+   }
+}
+
+/**
+ * Decodifica uma palavra de 32 bits em uma instrução
+ *
+ * Produz o mesmo texto que toString() mostra para a instrução montada.
+ * symbols (opcional) mapeia índices de instrução para nomes de label, usados
+ * nos destinos de branches e jumps. Retorna null se a palavra não
+ * corresponde a nenhuma instrução suportada.
+ */
+function decodeInstruction(word, address = 0, symbols = null) {
+   word = word >>> 0;
+   if (word === 0) return new Instruction(InstructionType.NOP, Opcode.NOP);
+   if (word === ERET_WORD) return new Instruction(InstructionType.COP0, Opcode.ERET);
+   if (word === SYSCALL_WORD) return new Instruction(InstructionType.SYSCALL, Opcode.SYSCALL);
+
+   const fields = splitInstructionWord(word);
+   const withLabel = (instr, index) => {
+      if (symbols && symbols.has(index)) instr.labelName = symbols.get(index);
+      return instr;
+   };
+   const branchTarget = address / 4 + 1 + extendImmediate(fields.imm, true);
+
+   switch (fields.opcode) {
+      case OPCODE_SPECIAL: {
+         const opcode = OpcodeByFunct[fields.funct];
+         if (!opcode) return null;
+         return new Instruction(InstructionType.R_TYPE, opcode, fields.rs, fields.rt, fields.rd,
+            0, 0, 0, ShiftImmediateOpcodes.includes(opcode) ? fields.shamt : 0);
+      }
+      case OPCODE_SPECIAL2:
+         if (fields.funct !== FUNCT_MUL) return null;
+         return new Instruction(InstructionType.R_TYPE, Opcode.MUL, fields.rs, fields.rt, fields.rd);
+      case OPCODE_REGIMM: {
+         const opcode = Object.keys(RegimmRtField).find(op => RegimmRtField[op] === fields.rt);
+         if (!opcode) return null;
+         return withLabel(new Instruction(InstructionType.I_TYPE, opcode, fields.rs, Register.ZERO,
+            Register.ZERO, branchTarget), branchTarget);
+      }
+      case OPCODE_COP0: {
+         const opcode = Object.keys(Cop0RsField).find(op => Cop0RsField[op] === fields.rs);
+         if (!opcode) return null;
+         return new Instruction(InstructionType.COP0, opcode, Register.ZERO, fields.rt, fields.rd);
+      }
+   }
+
+   const opcode = OpcodeByField[fields.opcode];
+   if (!opcode) return null;
+   if (opcode === Opcode.J || opcode === Opcode.JAL) {
+      // Os 4 bits altos do destino vêm de PC + 4
+      const target = (((address + 4) & 0xF0000000) >>> 0) / 4 + fields.target;
+      return withLabel(new Instruction(InstructionType.J_TYPE, opcode, Register.ZERO, Register.ZERO,
+         Register.ZERO, 0, target), target);
+   }
+   if (BranchOpcodes.includes(opcode)) {
+      const rt = BranchZeroOpcodes.includes(opcode) ? Register.ZERO : fields.rt;
+      return withLabel(new Instruction(InstructionType.I_TYPE, opcode, fields.rs, rt, Register.ZERO,
+         branchTarget), branchTarget);
+   }
+   if (MemoryAccessSize[opcode]) {
+      return new Instruction(InstructionType.I_TYPE, opcode, fields.rs, fields.rt, Register.ZERO,
+         extendImmediate(fields.imm, true));
+   }
+   const rs = opcode === Opcode.LUI ? Register.ZERO : fields.rs;
+   return new Instruction(InstructionType.I_TYPE, opcode, rs, fields.rt, Register.ZERO,
+      0, 0, extendImmediate(fields.imm, SignExtendedOpcodes.includes(opcode)));
+}
+
+// Cria as regiões da memória de dados, zeradas
+function createMemoryRegions() {
+   return MemoryRegions.map(region => ({ ...region, bytes: new Uint8Array(MEMORY_SIZE) }));
+}
+
+// Remove o comentário (#) de uma linha, ignorando # dentro de strings
+function stripComment(line) {
+   let inString = false;
+   for (let i = 0; i < line.length; i++) {
+      if (inString && line[i] === '\\') {
+         i++;
+      } else if (line[i] === '"') {
+         inString = !inString;
+      } else if (line[i] === '#' && !inString) {
+         return line.slice(0, i);
+      }
+   }
+   return line;
+}
+
+// Sequências de escape aceitas em .ascii/.asciiz
+const StringEscapes = { n: '\n', t: '\t', r: '\r', 0: '\0', '\\': '\\', '"': '"', "'": "'" };
+
+// Converte uma string entre aspas ("abc\n") nos seus bytes, ou null se malformada
+function parseStringLiteral(str) {
+   const match = str.match(/^"((?:[^"\\]|\\.)*)"$/);
+   if (!match) return null;
+   const text = match[1].replace(/\\(.)/g, (escape, char) =>
+      StringEscapes.hasOwnProperty(char) ? StringEscapes[char] : char);
+   return Array.from(text, char => char.charCodeAt(0) & 0xFF);
+}
+
+// Arredonda um endereço para cima até um múltiplo de alignment
+function alignAddress(address, alignment) {
+   return Math.ceil(address / alignment) * alignment;
+}
+
+// Estágios do pipeline, do mais novo ao mais antigo
+const PipelineStageNames = ['IF', 'ID', 'EX', 'MEM', 'WB'];
+
+// Tipos de célula do diagrama de tempo
+const TimelineCellKind = {
+   NORMAL: 'normal',  // A instrução executou o estágio no ciclo
+   STALL: 'stall',    // A instrução ficou parada tentando o estágio
+   BUBBLE: 'bubble',  // Bolha inserida no lugar de uma instrução
+   FLUSH: 'flush'     // A instrução foi descartada no ciclo
+};
+
+// Dimensões (px) e cores do SVG do diagrama de tempo
+const TimelineLayout = {
+   LABEL_WIDTH: 300,
+   CELL_WIDTH: 44,
+   ROW_HEIGHT: 24,
+   HEADER_HEIGHT: 26
+};
+
+const TimelineColors = {
+   IF: '#cfe2ff',
+   ID: '#d1e7dd',
+   EX: '#fff3cd',
+   MEM: '#f8d7da',
+   WB: '#e2d9f3',
+   [TimelineCellKind.STALL]: '#ffb84d',
+   [TimelineCellKind.BUBBLE]: '#e0e0e0',
+   [TimelineCellKind.FLUSH]: '#c62828',
+   forward: '#1565c0'
+};
+
+// Escapa texto para uso em XML (SVG)
+function escapeXML(text) {
+   return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Escapa um campo CSV quando necessário
+function escapeCSV(value) {
+   const text = String(value);
+   return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Estágio em que os branches condicionais são resolvidos (pipeline.branchResolutionStage)
+const BranchResolutionStage = {
+   ID: 'ID',    // Comparação no ID: 1 ciclo de penalidade, operandos adiantados até o ID
+   EX: 'EX',    // Comparação na ALU: 2 ciclos de penalidade
+   MEM: 'MEM'   // Desvio aplicado no MEM: 3 ciclos de penalidade
+};
+
+// Valores padrão de configuração dos preditores (ver setPredictor)
+const PredictorDefaults = {
+   tableSize: 16,      // Entradas de cada tabela (potência de 2)
+   historyLength: 4    // Bits do registrador de histórico global
+};
+
+const MAX_PREDICTOR_TABLE_SIZE = 4096;
+const MAX_PREDICTOR_HISTORY_LENGTH = 16;
+
+// Contador saturado entre 0 e max, incrementado quando o branch é tomado
+function updateCounter(value, taken, max) {
+   return taken ? Math.min(value + 1, max) : Math.max(value - 1, 0);
+}
+
+/**
+ * Preditores de branch
+ *
+ * Todos têm a mesma interface, usada pelo IF e pela resolução no ID:
+ * - predict(address, target): true se o branch em address deve ser tomado
+ *   (target é o alvo guardado no BTB)
+ * - update(address, taken, target): treina o preditor com o resultado real
+ * - clone(): cópia independente (o histórico de execução guarda o preditor
+ *   de cada ciclo sem copiá-lo quando ele não muda)
+ * - getState(): { history, tables } para o painel, onde history é
+ *   { value, length } (ou null) e cada tabela é { name, kind, values }, com
+ *   kind 'bit', 'counter' (BranchState) ou 'chooser' (>= 2 escolhe o global)
+ *
+ * As tabelas são indexadas pelos bits baixos do endereço da instrução, então
+ * branches diferentes podem compartilhar uma entrada (aliasing). O histórico
+ * global é atualizado na resolução do branch.
+ */
+
+// Predição estática: não tomado, sempre tomado ou BTFNT (para trás tomado, para frente não)
+class StaticPredictor {
+   constructor(type) {
+      this.type = type;
+   }
+
+   predict(address, target) {
+      switch (this.type) {
+         case PredictorType.ALWAYS_TAKEN:
+            return true;
+         case PredictorType.BTFNT:
+            return target < address;
+         default:
+            return false;
+      }
+   }
+
+   update() { }
+
+   clone() {
+      return new StaticPredictor(this.type);
+   }
+
+   getState() {
+      return { history: null, tables: [] };
+   }
+}
+
+// Tabela de contadores de 1 ou 2 bits indexada pelo endereço
+class CounterTablePredictor {
+   constructor(bits, tableSize) {
+      this.bits = bits;
+      this.max = (1 << bits) - 1;
+      this.threshold = 1 << (bits - 1);
+      // Contadores de 2 bits começam em WEAKLY_NOT_TAKEN
+      this.counters = new Array(tableSize).fill(bits === 2 ? BranchState.WEAKLY_NOT_TAKEN : 0);
+   }
+
+   index(address) {
+      return (address >>> 2) & (this.counters.length - 1);
+   }
+
+   predict(address) {
+      return this.counters[this.index(address)] >= this.threshold;
+   }
+
+   update(address, taken) {
+      const index = this.index(address);
+      this.counters[index] = updateCounter(this.counters[index], taken, this.max);
+   }
+
+   clone() {
+      const copy = new CounterTablePredictor(this.bits, 0);
+      copy.counters = this.counters.slice();
+      return copy;
+   }
+
+   getState() {
+      return {
+         history: null,
+         tables: [{ name: 'Contadores', kind: this.bits === 2 ? 'counter' : 'bit', values: this.counters.slice() }]
+      };
+   }
+}
+
+// gshare: contadores de 2 bits indexados por endereço XOR histórico global
+class GsharePredictor {
+   constructor(tableSize, historyLength) {
+      this.historyLength = historyLength;
+      this.history = 0;
+      this.counters = new Array(tableSize).fill(BranchState.WEAKLY_NOT_TAKEN);
+   }
+
+   index(address) {
+      return ((address >>> 2) ^ this.history) & (this.counters.length - 1);
+   }
+
+   predict(address) {
+      return this.counters[this.index(address)] >= BranchState.WEAKLY_TAKEN;
+   }
+
+   update(address, taken) {
+      const index = this.index(address);
+      this.counters[index] = updateCounter(this.counters[index], taken, BranchState.STRONGLY_TAKEN);
+      this.history = ((this.history << 1) | (taken ? 1 : 0)) & ((1 << this.historyLength) - 1);
+   }
+
+   clone() {
+      const copy = new GsharePredictor(0, this.historyLength);
+      copy.history = this.history;
+      copy.counters = this.counters.slice();
+      return copy;
+   }
+
+   getState() {
+      return {
+         history: { value: this.history, length: this.historyLength },
+         tables: [{ name: 'Contadores gshare', kind: 'counter', values: this.counters.slice() }]
+      };
+   }
+}
+
+// Torneio: um seletor de 2 bits por endereço escolhe entre o preditor local
+// (2 bits por endereço) e o gshare; o seletor só treina quando os dois discordam
+class TournamentPredictor {
+   constructor(tableSize, historyLength) {
+      this.local = new CounterTablePredictor(2, tableSize);
+      this.global = new GsharePredictor(tableSize, historyLength);
+      this.chooser = new Array(tableSize).fill(BranchState.WEAKLY_NOT_TAKEN);
+   }
+
+   predict(address) {
+      const useGlobal = this.chooser[this.local.index(address)] >= BranchState.WEAKLY_TAKEN;
+      return useGlobal ? this.global.predict(address) : this.local.predict(address);
+   }
+
+   update(address, taken) {
+      const localCorrect = this.local.predict(address) === taken;
+      const globalCorrect = this.global.predict(address) === taken;
+      if (localCorrect !== globalCorrect) {
+         const index = this.local.index(address);
+         this.chooser[index] = updateCounter(this.chooser[index], globalCorrect, BranchState.STRONGLY_TAKEN);
+      }
+      this.local.update(address, taken);
+      this.global.update(address, taken);
+   }
+
+   clone() {
+      const copy = Object.create(TournamentPredictor.prototype);
+      copy.local = this.local.clone();
+      copy.global = this.global.clone();
+      copy.chooser = this.chooser.slice();
+      return copy;
+   }
+
+   getState() {
+      const local = this.local.getState().tables[0];
+      const global = this.global.getState();
+      return {
+         history: global.history,
+         tables: [
+            { ...local, name: 'Contadores locais' },
+            global.tables[0],
+            { name: 'Seletor', kind: 'chooser', values: this.chooser.slice() }
+         ]
+      };
+   }
+}
+
+// Cria o preditor de um PredictorType; lança Error para tipo ou tamanhos inválidos
+function createBranchPredictor(type, { tableSize, historyLength }) {
+   if (!Object.values(PredictorType).includes(type)) {
+      throw new Error(`preditor desconhecido ${type}`);
+   }
+   if (!Number.isInteger(tableSize) || tableSize < 1 || tableSize > MAX_PREDICTOR_TABLE_SIZE ||
+      (tableSize & (tableSize - 1)) !== 0) {
+      throw new Error(`o tamanho da tabela deve ser uma potência de 2 entre 1 e ${MAX_PREDICTOR_TABLE_SIZE}`);
+   }
+   if (!Number.isInteger(historyLength) || historyLength < 1 || historyLength > MAX_PREDICTOR_HISTORY_LENGTH) {
+      throw new Error(`o histórico deve ter entre 1 e ${MAX_PREDICTOR_HISTORY_LENGTH} bits`);
+   }
+
+   switch (type) {
+      case PredictorType.ONE_BIT:
+         return new CounterTablePredictor(1, tableSize);
+      case PredictorType.TWO_BIT:
+         return new CounterTablePredictor(2, tableSize);
+      case PredictorType.GSHARE:
+         return new GsharePredictor(tableSize, historyLength);
+      case PredictorType.TOURNAMENT:
+         return new TournamentPredictor(tableSize, historyLength);
+      default:
+         return new StaticPredictor(type);
+   }
+}
+
+// Políticas de substituição da cache de dados
+const CacheReplacement = {
+   LRU: 'lru',        // Menos recentemente usado
+   FIFO: 'fifo',      // Mais antigo na cache
+   RANDOM: 'random'   // Pseudoaleatório, com a mesma sequência a cada execução
+};
+
+// Políticas de escrita da cache de dados
+const CacheWritePolicy = {
+   WRITE_BACK: 'write-back',        // Escreve na memória só quando o bloco sujo é substituído
+   WRITE_THROUGH: 'write-through'   // Toda escrita vai também para a memória
+};
+
+// Configuração padrão da cache de dados (pipeline.setDataCache)
+const CacheDefaults = {
+   size: 256,            // Bytes de dados
+   blockSize: 16,        // Bytes por bloco
+   associativity: 2,     // Vias por conjunto (1 = mapeamento direto)
+   replacement: CacheReplacement.LRU,
+   writePolicy: CacheWritePolicy.WRITE_BACK,
+   writeAllocate: true,  // Falta de escrita traz o bloco para a cache
+   missPenalty: 4        // Ciclos de stall para buscar um bloco da memória
+};
+
+// Configuração padrão da cache de instruções (pipeline.setInstructionCache);
+// a busca só lê, então não há políticas de escrita
+const InstructionCacheDefaults = {
+   size: 256,
+   blockSize: 16,
+   associativity: 1,
+   replacement: CacheReplacement.LRU,
+   missPenalty: 4        // Latência da memória principal, em ciclos
+};
+
+// Limites da configuração das caches
+const MAX_CACHE_SIZE = 65536;
+const MAX_CACHE_BLOCK_SIZE = 256;
+const MAX_CACHE_MISS_PENALTY = 100;
+
+/**
+ * Cache L1 entre o pipeline e a memória: a de dados no estágio MEM e a de
+ * instruções no IF
+ *
+ * Guarda apenas o estado de cada linha (válido, sujo e tag), como as
+ * ferramentas de cache do MARS: dados e instruções continuam na memória,
+ * que é sempre lida e escrita pelos estágios. access() devolve os ciclos de
+ * stall do acesso:
+ * - acerto: 0
+ * - falta: missPenalty para buscar o bloco, mais missPenalty se o bloco
+ *   substituído estava sujo (write-back)
+ * - falta de escrita sem write-allocate: a escrita vai direto para a memória
+ * Escritas em write-through passam por um buffer de escrita e não param o
+ * pipeline; as linhas nunca ficam sujas.
+ */
+class CacheModel {
+   constructor({ size, blockSize, associativity, replacement, writePolicy, writeAllocate, missPenalty }) {
+      this.blockSize = blockSize;
+      this.associativity = associativity;
+      this.setCount = size / (blockSize * associativity);
+      this.replacement = replacement;
+      this.writePolicy = writePolicy;
+      this.writeAllocate = writeAllocate;
+      this.missPenalty = missPenalty;
+
+      // lastUsed e loadedAt são instantes de tick, para LRU e FIFO
+      this.sets = Array.from({ length: this.setCount }, () =>
+         Array.from({ length: associativity }, () => ({ valid: false, dirty: false, tag: 0, lastUsed: 0, loadedAt: 0 })));
+      this.tick = 0;
+      this.randomState = 1;
+      this.stats = { reads: 0, writes: 0, hits: 0, misses: 0, writebacks: 0 };
+   }
+
+   // Conjunto e tag do bloco que contém address
+   locate(address) {
+      const block = Math.floor((address >>> 0) / this.blockSize);
+      return { index: block % this.setCount, tag: Math.floor(block / this.setCount) };
+   }
+
+   access(address, isWrite) {
+      this.tick++;
+      if (isWrite) {
+         this.stats.writes++;
+      } else {
+         this.stats.reads++;
+      }
+
+      const { index, tag } = this.locate(address);
+      const set = this.sets[index];
+      const writeBack = this.writePolicy === CacheWritePolicy.WRITE_BACK;
+      const line = set.find(l => l.valid && l.tag === tag);
+      if (line) {
+         this.stats.hits++;
+         line.lastUsed = this.tick;
+         if (isWrite && writeBack) line.dirty = true;
+         return 0;
+      }
+
+      this.stats.misses++;
+      if (isWrite && !this.writeAllocate) return 0;
+
+      const victim = this.chooseVictim(set);
+      let penalty = this.missPenalty;
+      if (victim.valid && victim.dirty) {
+         this.stats.writebacks++;
+         penalty += this.missPenalty;
+      }
+      Object.assign(victim, { valid: true, dirty: isWrite && writeBack, tag, lastUsed: this.tick, loadedAt: this.tick });
+      return penalty;
+   }
+
+   // Linha a substituir no conjunto: uma inválida, se houver, ou a escolhida pela política
+   chooseVictim(set) {
+      const empty = set.find(line => !line.valid);
+      if (empty) return empty;
+
+      switch (this.replacement) {
+         case CacheReplacement.FIFO:
+            return set.reduce((oldest, line) => line.loadedAt < oldest.loadedAt ? line : oldest);
+         case CacheReplacement.RANDOM:
+            return set[this.nextRandom() % set.length];
+         default:
+            return set.reduce((oldest, line) => line.lastUsed < oldest.lastUsed ? line : oldest);
+      }
+   }
+
+   // Gerador congruente linear: execuções repetidas substituem as mesmas linhas
+   nextRandom() {
+      this.randomState = (Math.imul(this.randomState, 1103515245) + 12345) >>> 0;
+      return this.randomState >>> 16;
+   }
+
+   clone() {
+      const copy = Object.create(CacheModel.prototype);
+      Object.assign(copy, this);
+      copy.sets = this.sets.map(set => set.map(line => ({ ...line })));
+      copy.stats = { ...this.stats };
+      return copy;
+   }
+
+   // Conjuntos (linhas com valid, dirty e tag) e contadores, para o painel
+   getState() {
+      return {
+         sets: this.sets.map(set => set.map(({ valid, dirty, tag }) => ({ valid, dirty, tag }))),
+         stats: { ...this.stats }
+      };
+   }
+}
+
+// Verifica se value é uma potência de 2 entre min e max
+function isPowerOfTwoInRange(value, min, max) {
+   return Number.isInteger(value) && value >= min && value <= max && (value & (value - 1)) === 0;
+}
+
+// Cria uma cache (CacheModel); lança Error para configuração inválida
+function createCache(options) {
+   const { size, blockSize, associativity, replacement, writePolicy, writeAllocate, missPenalty } = options;
+   if (!isPowerOfTwoInRange(blockSize, 4, MAX_CACHE_BLOCK_SIZE)) {
+      throw new Error(`o bloco deve ser uma potência de 2 entre 4 e ${MAX_CACHE_BLOCK_SIZE} bytes`);
+   }
+   if (!isPowerOfTwoInRange(size, blockSize, MAX_CACHE_SIZE)) {
+      throw new Error(`o tamanho da cache deve ser uma potência de 2 entre o tamanho do bloco e ${MAX_CACHE_SIZE} bytes`);
+   }
+   if (!isPowerOfTwoInRange(associativity, 1, size / blockSize)) {
+      throw new Error(`a associatividade deve ser uma potência de 2 entre 1 e ${size / blockSize} (número de blocos)`);
+   }
+   if (!Object.values(CacheReplacement).includes(replacement)) {
+      throw new Error(`política de substituição desconhecida ${replacement}`);
+   }
+   if (!Object.values(CacheWritePolicy).includes(writePolicy)) {
+      throw new Error(`política de escrita desconhecida ${writePolicy}`);
+   }
+   if (typeof writeAllocate !== 'boolean') {
+      throw new Error('write-allocate deve ser true ou false');
+   }
+   if (!Number.isInteger(missPenalty) || missPenalty < 0 || missPenalty > MAX_CACHE_MISS_PENALTY) {
+      throw new Error(`a penalidade de falta deve ter entre 0 e ${MAX_CACHE_MISS_PENALTY} ciclos`);
+   }
+   return new CacheModel(options);
+}
+
+// Cria a cache de instruções: só há leituras, então as políticas de escrita
+// são fixas e não aparecem na configuração
+function createInstructionCache(options) {
+   return createCache({ ...options, writePolicy: CacheWritePolicy.WRITE_THROUGH, writeAllocate: false });
+}
+
+/**
+ * Diagrama de tempo do pipeline (instruções × ciclos)
+ *
+ * Cada execução de uma instrução, identificada pelo seq atribuído na busca,
+ * é uma linha; cada ciclo é uma coluna. record() é chamado ao fim de cada
+ * ciclo e anota o estágio em que cada instrução trabalhou (TimelineCellKind):
+ * - normal: a instrução chegou ao latch do estágio neste ciclo
+ * - stall: a instrução continuou no mesmo latch, tentando o estágio seguinte
+ *   (ex: um branch esperando operando aparece parado no ID)
+ * - flush: a instrução foi descartada (exceção ou exit) neste ciclo
+ * Estágios vazios entre instruções em andamento são bolhas e ganham linhas
+ * próprias, que avançam pelo pipeline. Os forwardings ficam em forwards e
+ * viram setas no SVG.
+ *
+ * Só os últimos limit ciclos são guardados (a mesma janela do histórico de
+ * execução, HISTORY_LIMIT): linhas que já saíram do pipeline antes de
+ * firstCycle são descartadas do topo e contadas em droppedRows, de modo que
+ * a posição de uma linha (droppedRows + índice) não muda quando as de cima
+ * saem. revision muda quando o diagrama deixa de só crescer (clear e rewind).
+ */
+class PipelineTimeline {
+   constructor(limit = HISTORY_LIMIT) {
+      this.limit = limit;
+      this.revision = 0;
+      this.clear();
+   }
+
+   clear() {
+      this.rows = [];                     // Em ordem de exibição: { key, seq, pc, label, bubble, lastCycle, cells: Map(ciclo -> { stage, kind }) }
+      this.rowsBySeq = new Map();
+      this.forwards = [];                 // { register, from: { seq, stage, cycle }, to: { seq, stage, cycle } }
+      this.cycles = 0;
+      this.firstCycle = 1;                // Primeiro ciclo guardado
+      this.droppedRows = 0;               // Linhas já descartadas do topo
+      this.previous = {};                 // Estágio -> seq no ciclo anterior (pelos latches)
+      this.previousBubbles = new Map();   // Índice do estágio -> linha da bolha no ciclo anterior
+      this.revision++;
+   }
+
+   // Anota o ciclo que acabou de ser executado
+   record(pipeline) {
+      const cycle = pipeline.cycle;
+      const stages = pipeline.pipelineStages;
+      this.cycles = cycle;
+
+      // seq de cada latch
+      const current = {};
+      for (const stage of PipelineStageNames) {
+         const latch = stages[stage];
+         current[stage] = latch ? (stage === 'IF' ? pipeline.fetchSeq : latch.seq) : null;
+      }
+
+      // Estágio exibido por índice -> seq (a instrução parada aparece no estágio seguinte)
+      const displayed = new Map();
+      PipelineStageNames.forEach((stage, index) => {
+         const seq = current[stage];
+         if (seq === null) return;
+
+         const latch = stages[stage];
+         const row = this.getRow(seq, stage === 'IF' ? latch : latch.instruction, stage === 'IF' ? pipeline.fetchPC : latch.pc);
+         const stalled = this.previous[stage] === seq;
+         const shownIndex = stalled ? index + 1 : index;
+         this.setCell(row, cycle, {
+            stage: PipelineStageNames[shownIndex],
+            kind: stalled ? TimelineCellKind.STALL : TimelineCellKind.NORMAL
+         });
+         displayed.set(shownIndex, seq);
+      });
+
+      // Instruções que estavam no pipeline e sumiram sem chegar ao WB foram descartadas
+      const present = new Set(Object.values(current));
+      PipelineStageNames.slice(0, -1).forEach((stage, index) => {
+         const seq = this.previous[stage];
+         if (seq !== null && seq !== undefined && !present.has(seq)) {
+            this.setCell(this.rowsBySeq.get(seq), cycle, {
+               stage: PipelineStageNames[index + 1], kind: TimelineCellKind.FLUSH
+            });
+         }
+      });
+
+      // Bolhas já inseridas avançam um estágio por ciclo até passar pelo WB
+      const bubbles = new Map();
+      for (const [index, row] of this.previousBubbles) {
+         if (index + 1 < PipelineStageNames.length && !displayed.has(index + 1)) {
+            bubbles.set(index + 1, row);
+         }
+      }
+
+      // Novas bolhas: estágios vazios entre a instrução mais nova e a mais antiga
+      const indices = Array.from(displayed.keys());
+      for (let index = Math.min(...indices) + 1; index < Math.max(...indices); index++) {
+         if (displayed.has(index) || bubbles.has(index)) continue;
+         // A linha da bolha fica logo abaixo da instrução mais antiga à sua frente
+         const olderIndex = indices.filter(i => i > index).sort((a, b) => a - b)[0];
+         const row = {
+            key: displayed.get(olderIndex) + 0.5,
+            seq: null, pc: null, label: 'bolha', bubble: true, lastCycle: cycle, cells: new Map()
+         };
+         this.insertRow(row);
+         bubbles.set(index, row);
+      }
+      for (const [index, row] of bubbles) {
+         this.setCell(row, cycle, { stage: PipelineStageNames[index], kind: TimelineCellKind.BUBBLE });
+      }
+
+      this.previous = current;
+      this.previousBubbles = bubbles;
+      this.trim();
+   }
+
+   // Linha de uma execução de instrução, criada na primeira vez em que aparece
+   getRow(seq, instruction, pc) {
+      if (!this.rowsBySeq.has(seq)) {
+         const row = { key: seq, seq, pc, label: instruction.toString(), bubble: false, lastCycle: 0, cells: new Map() };
+         this.insertRow(row);
+         this.rowsBySeq.set(seq, row);
+      }
+      return this.rowsBySeq.get(seq);
+   }
+
+   // Insere a linha mantendo a ordem de exibição (pela key); linhas novas
+   // ficam sempre perto do fim, junto das instruções ainda no pipeline
+   insertRow(row) {
+      let index = this.rows.length;
+      while (index > 0 && this.rows[index - 1].key > row.key) index--;
+      this.rows.splice(index, 0, row);
+   }
+
+   setCell(row, cycle, cell) {
+      row.cells.set(cycle, cell);
+      row.lastCycle = cycle;
+   }
+
+   // Descarta o que ficou antes da janela de limit ciclos: as linhas do topo
+   // que já saíram do pipeline e os forwardings anteriores
+   trim() {
+      this.firstCycle = Math.max(this.firstCycle, this.cycles - this.limit + 1);
+
+      let count = 0;
+      while (count < this.rows.length && this.rows[count].lastCycle < this.firstCycle) {
+         if (!this.rows[count].bubble) this.rowsBySeq.delete(this.rows[count].seq);
+         count++;
+      }
+      this.rows.splice(0, count);
+      this.droppedRows += count;
+
+      count = 0;
+      while (count < this.forwards.length && this.forwards[count].to.cycle < this.firstCycle) count++;
+      this.forwards.splice(0, count);
+   }
+
+   addForward(forward) {
+      this.forwards.push(forward);
+   }
+
+   // Estado de record() entre ciclos, guardado pelo histórico de execução
+   getCursor() {
+      return {
+         previous: { ...this.previous },
+         previousBubbles: new Map(this.previousBubbles)
+      };
+   }
+
+   // Volta o diagrama ao fim de cycle: descarta células, linhas e forwardings
+   // posteriores (o que já saiu da janela não volta)
+   rewind(cycle, cursor) {
+      for (const row of this.rows) {
+         for (const cellCycle of Array.from(row.cells.keys())) {
+            if (cellCycle > cycle) row.cells.delete(cellCycle);
+         }
+         row.lastCycle = Math.min(row.lastCycle, cycle);
+      }
+      this.rows = this.rows.filter(row => row.cells.size > 0);
+      for (const [seq, row] of this.rowsBySeq) {
+         if (row.cells.size === 0) this.rowsBySeq.delete(seq);
+      }
+      this.forwards = this.forwards.filter(forward => forward.to.cycle <= cycle);
+      this.cycles = cycle;
+      this.previous = { ...cursor.previous };
+      this.previousBubbles = new Map(cursor.previousBubbles);
+      this.revision++;
+   }
+
+   // Linhas na ordem do programa (bolhas logo abaixo da instrução à sua frente)
+   getRows() {
+      return this.rows.slice();
+   }
+
+   // Ciclos guardados, do primeiro ao atual
+   getCycles() {
+      const count = Math.max(this.cycles - this.firstCycle + 1, 0);
+      return Array.from({ length: count }, (_, i) => this.firstCycle + i);
+   }
+
+   // Texto de uma célula (também usado no CSV)
+   static cellText(cell) {
+      switch (cell.kind) {
+         case TimelineCellKind.STALL:
+            return `${cell.stage} (stall)`;
+         case TimelineCellKind.FLUSH:
+            return 'flush';
+         default:
+            return cell.stage;
+      }
+   }
+
+   /**
+    * Exporta o diagrama em CSV: uma linha por instrução executada e uma
+    * coluna por ciclo guardado. Células que recebem forwarding terminam em "(fwd)".
+    */
+   toCSV() {
+      const forwarded = new Set(this.forwards.map(f => `${f.to.seq}:${f.to.cycle}`));
+      const cycles = this.getCycles();
+      const lines = [['instrucao', 'pc', ...cycles]];
+
+      for (const row of this.rows) {
+         lines.push([row.label, row.bubble ? '' : formatWord(row.pc), ...cycles.map(cycle => {
+            const cell = row.cells.get(cycle);
+            if (!cell) return '';
+            const fwd = !row.bubble && forwarded.has(`${row.seq}:${cycle}`) ? ' (fwd)' : '';
+            return PipelineTimeline.cellText(cell) + fwd;
+         })]);
+      }
+      return lines.map(line => line.map(escapeCSV).join(',')).join('\n') + '\n';
+   }
+
+   /**
+    * Tamanho do SVG e deslocamento da janela guardada
+    *
+    * As partes do SVG usam coordenadas absolutas (ciclo 1 e linha 0 no topo
+    * à esquerda); x e y são o quanto os grupos são deslocados para mostrar
+    * a partir de firstCycle e da primeira linha guardada.
+    */
+   getViewport() {
+      const { LABEL_WIDTH, CELL_WIDTH, ROW_HEIGHT, HEADER_HEIGHT } = TimelineLayout;
+      return {
+         width: LABEL_WIDTH + Math.max(this.cycles - this.firstCycle + 1, 1) * CELL_WIDTH + 10,
+         height: HEADER_HEIGHT + this.rows.length * ROW_HEIGHT + 10,
+         x: (this.firstCycle - 1) * CELL_WIDTH,
+         y: this.droppedRows * ROW_HEIGHT
+      };
+   }
+
+   // Posição de cada linha guardada, por seq (usada pelas setas)
+   getRowPositions() {
+      const positions = new Map();
+      this.rows.forEach((row, i) => {
+         if (!row.bubble) positions.set(row.seq, this.droppedRows + i);
+      });
+      return positions;
+   }
+
+   /**
+    * Moldura do SVG autônomo (cores e fontes embutidas)
+    *
+    * Os números dos ciclos, as linhas, as setas e os rótulos ficam em grupos
+    * marcados com data-parte e deslocados pela janela (getViewport). O
+    * retângulo antes dos rótulos cobre as células anteriores à janela.
+    */
+   static svgFrame({ width, height, x, y }, parts = {}) {
+      const { cycles = '', rows = '', arrows = '', labels = '' } = parts;
+      return [
+         `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+            'font-family="monospace" font-size="11">',
+         '<defs><marker id="seta" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" ' +
+            `orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="${TimelineColors.forward}"/></marker></defs>`,
+         '<rect data-parte="fundo" width="100%" height="100%" fill="#ffffff"/>',
+         `<g data-parte="ciclos" transform="translate(${-x},0)">${cycles}</g>`,
+         `<g data-parte="janela" transform="translate(${-x},${-y})">`,
+         `<g data-parte="linhas">${rows}</g>`,
+         `<g data-parte="setas">${arrows}</g>`,
+         '</g>',
+         `<rect width="${TimelineLayout.LABEL_WIDTH}" height="100%" fill="#ffffff"/>`,
+         `<g data-parte="rotulos" transform="translate(0,${-y})">${labels}</g>`,
+         '</svg>'
+      ].join('\n');
+   }
+
+   // Número de um ciclo no cabeçalho
+   static svgCycleNumber(cycle) {
+      const { LABEL_WIDTH, CELL_WIDTH, HEADER_HEIGHT } = TimelineLayout;
+      const x = LABEL_WIDTH + (cycle - 1) * CELL_WIDTH + CELL_WIDTH / 2;
+      return `<text x="${x}" y="${HEADER_HEIGHT - 9}" text-anchor="middle" fill="#555555">${cycle}</text>`;
+   }
+
+   // Coordenada y do topo da linha na posição dada
+   static rowTop(position) {
+      return TimelineLayout.HEADER_HEIGHT + position * TimelineLayout.ROW_HEIGHT;
+   }
+
+   // Rótulo (endereço e instrução) da linha na posição dada
+   static svgRowLabel(row, position) {
+      const y = PipelineTimeline.rowTop(position) + TimelineLayout.ROW_HEIGHT / 2 + 4;
+      const label = row.bubble ? row.label : `${formatWord(row.pc)}  ${row.label}`;
+      return `<text x="4" y="${y}" fill="${row.bubble ? '#888888' : '#222222'}"` +
+         `${row.bubble ? ' font-style="italic"' : ''}>${escapeXML(label)}</text>`;
+   }
+
+   // Grupo das células de uma linha, posicionado por transform
+   static svgRowGroup(position, cells = '') {
+      return `<g transform="translate(0,${PipelineTimeline.rowTop(position)})">${cells}</g>`;
+   }
+
+   // Célula de um ciclo, relativa ao grupo da linha
+   static svgCell(cycle, cell) {
+      const { LABEL_WIDTH, CELL_WIDTH, ROW_HEIGHT } = TimelineLayout;
+      const x = LABEL_WIDTH + (cycle - 1) * CELL_WIDTH;
+      const fill = cell.kind === TimelineCellKind.NORMAL ? TimelineColors[cell.stage] : TimelineColors[cell.kind];
+      const dash = cell.kind === TimelineCellKind.STALL ? ' stroke-dasharray="3,2"' : '';
+      const text = cell.kind === TimelineCellKind.FLUSH ? '✕' : cell.stage;
+      const textColor = cell.kind === TimelineCellKind.FLUSH ? '#ffffff' :
+         cell.kind === TimelineCellKind.BUBBLE ? '#888888' : '#222222';
+      return `<rect x="${x + 1}" y="2" width="${CELL_WIDTH - 2}" height="${ROW_HEIGHT - 4}" ` +
+         `rx="3" fill="${fill}" stroke="#666666"${dash}><title>${escapeXML(PipelineTimeline.cellText(cell))}</title></rect>` +
+         `<text x="${x + CELL_WIDTH / 2}" y="${ROW_HEIGHT / 2 + 4}" text-anchor="middle" fill="${textColor}">${text}</text>`;
+   }
+
+   // Seta de forwarding, do estágio que produziu o valor ao que o usa ('' se
+   // uma das linhas não está guardada)
+   static svgForward({ register, from, to }, positions) {
+      if (!positions.has(from.seq) || !positions.has(to.seq)) return '';
+      const { LABEL_WIDTH, CELL_WIDTH, ROW_HEIGHT } = TimelineLayout;
+      const x1 = LABEL_WIDTH + (from.cycle - 1) * CELL_WIDTH + CELL_WIDTH / 2;
+      const y1 = PipelineTimeline.rowTop(positions.get(from.seq)) + ROW_HEIGHT - 4;
+      const x2 = LABEL_WIDTH + (to.cycle - 1) * CELL_WIDTH + CELL_WIDTH / 2;
+      const y2 = PipelineTimeline.rowTop(positions.get(to.seq)) + 4;
+      return `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${TimelineColors.forward}" ` +
+         `stroke-width="1.5" marker-end="url(#seta)"><title>forwarding ${escapeXML(getRegisterName(register))}` +
+         '</title></line>';
+   }
+
+   /**
+    * Gera o diagrama em SVG autônomo, usado na exportação para slides; a
+    * página desenha as mesmas partes aos poucos (ver PipelineView)
+    */
+   toSVG() {
+      const positions = this.getRowPositions();
+      return PipelineTimeline.svgFrame(this.getViewport(), {
+         cycles: this.getCycles().map(cycle => PipelineTimeline.svgCycleNumber(cycle)).join(''),
+         rows: this.rows.map((row, i) => {
+            const cells = Array.from(row.cells)
+               .filter(([cycle]) => cycle >= this.firstCycle)
+               .map(([cycle, cell]) => PipelineTimeline.svgCell(cycle, cell));
+            return PipelineTimeline.svgRowGroup(this.droppedRows + i, cells.join(''));
+         }).join('\n'),
+         arrows: this.forwards.map(forward => PipelineTimeline.svgForward(forward, positions)).join('\n'),
+         labels: this.rows.map((row, i) => PipelineTimeline.svgRowLabel(row, this.droppedRows + i)).join('\n')
+      });
+   }
+}
+
+// Tipos de ponto de parada (ver addBreakpoint, watchRegister e watchMemory)
+const BreakpointKind = {
+   INSTRUCTION: 'instruction',  // Instrução de um endereço chega a um estágio, com condição opcional
+   REGISTER: 'register',        // Escrita em um registrador no WB
+   MEMORY: 'memory'             // Store que escreve em uma faixa da memória no MEM
 };
 
-// Estados do preditor de branch
-const BranchState = {
-   STRONGLY_TAKEN: 3,      // Fortemente tomado
-   WEAKLY_TAKEN: 2,        // Fracamente tomado
-   WEAKLY_NOT_TAKEN: 1,    // Fracamente não tomado
-   STRONGLY_NOT_TAKEN: 0   // Fortemente não tomado
+// Operadores das condições de breakpoint (ex: "$s1 == 10"), com sinal
+const ConditionOperators = {
+   '==': (a, b) => a === b,
+   '!=': (a, b) => a !== b,
+   '<': (a, b) => a < b,
+   '<=': (a, b) => a <= b,
+   '>': (a, b) => a > b,
+   '>=': (a, b) => a >= b
 };
 
-// Mapeamento de aliases de registradores para índices
-const RegisterAlias = {};
-for (let i = 0; i <= 31; i++) {
-   RegisterAlias[`$s${i}`] = i;
-}
-
-// Mapeamento inverso para exibição
-const RegisterName = {};
-for (let i = 0; i <= 31; i++) {
-   RegisterName[i] = `$s${i}`;
-}
+// Ciclos guardados no histórico de execução (ver ExecutionHistory)
+const HISTORY_LIMIT = 1000;
 
 /**
- * Classe que representa uma instrução MIPS
- *
- * Esta classe encapsula todas as informações necessárias para representar
- * uma instrução MIPS, incluindo seu tipo, opcode e operandos.
- *
- * Campos:
- * - type: Tipo da instrução (R_TYPE, I_TYPE, J_TYPE, NOP)
- * - opcode: Código da operação (add, sub, mul, lw, sw, beq, j)
- * - rs: Primeiro registrador fonte (para R-type e I-type)
- * - rt: Segundo registrador fonte (para R-type) ou registrador destino (para I-type)
- * - rd: Registrador destino (para R-type)
- * - offset: Deslocamento para instruções de memória e branch
- * - target: Endereço alvo para instruções de jump
+ * Histórico de execução para voltar ciclos
  *
- * Métodos:
- * - toString(): Retorna a representação em string da instrução
+ * Guarda um snapshot do estado do pipeline no fim de cada ciclo (ver
+ * MIPSPipeline.captureState), do ciclo mais antigo ainda guardado ao atual.
+ * Só os últimos limit ciclos são mantidos, o que limita a memória em
+ * execuções longas. Registradores, latches e contadores são copiados a cada
+ * ciclo; as regiões de memória e o preditor, maiores, são guardados por
+ * referência e só copiados pelo pipeline antes da primeira alteração
+ * (copy-on-write): shared contém os objetos do último snapshot.
  */
-class Instruction {
-   constructor(type, opcode, rs, rt, rd, offset, target) {
-      this.type = type;      // Tipo da instrução (R_TYPE, I_TYPE, J_TYPE, NOP)
-      this.opcode = opcode;  // Código da operação
-      this.rs = rs;         // Primeiro registrador fonte
-      this.rt = rt;         // Segundo registrador fonte ou destino
-      this.rd = rd;         // Registrador destino
-      this.offset = offset; // Deslocamento para memória/branch
-      this.target = target; // Endereço alvo para jump
+class ExecutionHistory {
+   constructor(limit = HISTORY_LIMIT) {
+      this.limit = limit;
+      this.clear();
    }
 
-   /**
-    * Retorna a representação em string da instrução
-    *
-    * O formato da string depende do tipo da instrução:
-    * - R-type: "op $rd, $rs, $rt"
-    * - I-type (lw/sw): "op $rt, offset($rs)"
-    * - I-type (beq): "op $rs, $rt, offset"
-    * - J-type: "op target"
-    * - NOP: "nop"
-    */
-   toString() {
-      switch (this.type) {
-         case InstructionType.R_TYPE:
-            return `${this.opcode} ${RegisterName[this.rd]}, ${RegisterName[this.rs]}, ${RegisterName[this.rt]}`;
-         case InstructionType.I_TYPE:
-            if (this.opcode === 'beq') {
-               return `${this.opcode} ${RegisterName[this.rs]}, ${RegisterName[this.rt]}, ${this.offset}`;
-            } else {
-               return `${this.opcode} ${RegisterName[this.rt]}, ${this.offset}(${RegisterName[this.rs]})`;
-            }
-         case InstructionType.J_TYPE:
-            return `${this.opcode} ${this.target}`;
-         case InstructionType.NOP:
-            return 'nop';
-         default:
-            return '[instrução inválida]';
-      }
+   clear() {
+      this.entries = [];         // { snapshot, shared } de ciclos consecutivos, do mais antigo ao atual
+      this.shared = new Set();
+      this.furthestCycle = 0;    // Ciclo mais adiantado já executado
+   }
+
+   isEmpty() {
+      return this.entries.length === 0;
+   }
+
+   // Adiciona o snapshot do ciclo atual; shared são os objetos guardados por referência
+   record(snapshot, shared) {
+      this.entries.push({ snapshot, shared });
+      if (this.entries.length > this.limit) this.entries.shift();
+      this.shared = new Set(shared);
+      this.furthestCycle = Math.max(this.furthestCycle, snapshot.cycle);
+   }
+
+   // Snapshot do fim do ciclo, ou null se ele não está (mais) guardado
+   get(cycle) {
+      if (this.isEmpty()) return null;
+      const entry = this.entries[cycle - this.entries[0].snapshot.cycle];
+      return entry ? entry.snapshot : null;
+   }
+
+   // Descarta os snapshots depois de cycle, que passa a ser o estado atual
+   truncate(cycle) {
+      this.entries = this.entries.filter(entry => entry.snapshot.cycle <= cycle);
+      const last = this.entries[this.entries.length - 1];
+      this.shared = new Set(last ? last.shared : []);
+   }
+
+   isShared(object) {
+      return this.shared.has(object);
+   }
+
+   // Ciclo mais antigo para onde é possível voltar
+   firstCycle() {
+      return this.isEmpty() ? null : this.entries[0].snapshot.cycle;
    }
 }
 
@@ -139,10 +1893,11 @@ class Instruction {
  *
  * O pipeline é implementado como uma classe MIPSPipeline que gerencia:
  * 1. Os 5 estágios do pipeline (IF, ID, EX, MEM, WB)
- * 2. Os registradores ($s0-$s31)
- * 3. A memória (array de 1KB)
+ * 2. Os registradores ($zero-$ra)
+ * 3. A memória (4KB endereçáveis por byte)
  * 4. O contador de programa (PC)
  * 5. O preditor de branch
+ * 6. O Coprocessador 0 (EPC, Cause, Status, BadVAddr) e as exceções
  *
  * Estrutura do Pipeline:
  * - Cada estágio é representado por um slot no objeto pipelineStages
@@ -152,22 +1907,59 @@ class Instruction {
  * Ciclo de Execução:
  * 1. Verifica hazards e executa forwarding
  * 2. Executa os estágios em ordem reversa (WB → MEM → EX → ID → IF)
- * 3. Atualiza a interface do usuário
+ * 3. Verifica se o programa terminou (detectHalt)
+ * 4. Emite os eventos do ciclo (SimulatorEvent) para a interface ou scripts
  *
  * Registradores:
- * - 32 registradores ($0-$31)
+ * - 32 registradores ($0-$31), sempre inteiros de 32 bits com sinal
+ * - HI e LO: resultado de mult/div, escritos no estágio EX
+ * - $sp inicia em STACK_POINTER_ADDRESS (a pilha cresce para endereços menores)
  * - Valores armazenados em um array
- * - Suporte a aliases (ex: $s0, $s31)
+ * - Suporte a nomes ABI (ex: $zero, $t0, $sp) e numéricos (ex: $8)
+ * - $zero é fixo em 0: escritas nele são ignoradas
  *
  * Memória:
- * - Array de 1KB (1024 bytes)
- * - Suporte a load/store
+ * - Regiões de 4KB (MEMORY_SIZE) endereçáveis por byte, cada uma em um
+ *   Uint8Array: região baixa (a partir de 0), dados (DATA_BASE_ADDRESS) e
+ *   pilha (logo abaixo de STACK_POINTER_ADDRESS); o resto não é mapeado
+ * - Endianness configurável (big-endian por padrão)
+ * - Load/store de word, halfword e byte, com verificação de alinhamento
+ * - Cache de dados L1 opcional (CacheModel, setDataCache): faltas param o
+ *   pipeline no MEM; os syscalls acessam a memória sem passar pela cache
+ * - Cache de instruções L1 opcional (setInstructionCache): numa falta o IF
+ *   fica sem buscar pela latência da memória, enquanto os estágios seguintes
+ *   continuam; uma falta na cache de dados congela o IF, e com ele a espera
+ *   da falta de instruções
+ *
+ * Núcleo sem interface:
+ * - Não acessa o DOM nem usa alert; a interface do navegador (view.js) e
+ *   scripts no Node.js assinam os eventos com on(evento, função)
+ * - Não escreve no console: mensagens de depuração passam por debugLog
+ *   (desligado no Node.js, ver setDebugLogging), e erros do programa viram
+ *   diagnósticos, haltReason ou eventos
+ * - Eventos: cycle, stall, retire, forward, load-error, halt, output,
+ *   input-request, rewind, breakpoint e exception (ver SimulatorEvent)
+ * - timeline guarda o diagrama de tempo (PipelineTimeline), exportável em
+ *   SVG e CSV
+ * - history guarda os últimos ciclos (ExecutionHistory): stepBack() e
+ *   goToCycle(n) voltam a execução sem recomeçar o programa
+ * - Breakpoints (addBreakpoint) e watchpoints de registrador e memória
+ *   (watchRegister, watchMemory) pausam run() e emitem breakpoint
+ * - O programa termina quando o pipeline esvazia sem instrução no PC; o
+ *   motivo (fim do programa, desvio para endereço sem instrução ou exceção
+ *   sem tratador) fica em haltReason e a execução contínua é parada
+ * - loadProgramData(json) carrega o mesmo arquivo de programa na interface e
+ *   no executor de linha de comando (cli.js)
  */
 class MIPSPipeline {
    constructor() {
       // Registradores do pipeline
+      this.memoria = createMemoryRegions();   // Memória endereçável por byte
+      this.endianness = Endianness.BIG;
       this.registradores = new Array(32).fill(0);  // $0-$31
-      this.memoria = new Array(1024).fill(0);   // 1KB de memória
+      this.registradores[Register.SP] = STACK_POINTER_ADDRESS; // Topo da pilha
+      this.hi = 0;  // 32 bits superiores de mult / resto de div
+      this.lo = 0;  // 32 bits inferiores de mult / quociente de div
 
       // Estágios do pipeline
       this.pipelineStages = {
@@ -179,17 +1971,86 @@ class MIPSPipeline {
       };
 
       // Contador de programa
-      this.PC = 0;
-
-      // Tabela de predição de branch (2 bits)
-      this.branchPredictor = new Map();
+      this.PC = TEXT_BASE_ADDRESS;
+
+      // Coprocessador 0 e endereço do tratador de exceções
+      this.cp0 = new Array(32).fill(0);
+      this.exceptionHandlerAddress = EXCEPTION_HANDLER_ADDRESS;
+
+      // Preditor de branch (ver setPredictor), BTB (endereço -> alvo do último
+      // desvio tomado) e acertos/erros de cada branch condicional
+      this.predictorType = PredictorType.TWO_BIT;
+      this.predictorOptions = { ...PredictorDefaults };
+      this.branchPredictor = createBranchPredictor(this.predictorType, this.predictorOptions);
+      this.branchTargetBuffer = new Map();
+      this.branchOutcomes = new Map();
+
+      // Resolução dos branches condicionais e delay slot: com delaySlotEnabled,
+      // a instrução seguinte a um branch ou jump sempre executa
+      this.branchResolutionStage = BranchResolutionStage.ID;
+      this.delaySlotEnabled = false;
+
+      // Forwarding ligado; desligado, a instrução espera no ID até o produtor
+      // passar pelo WB
+      this.forwardingEnabled = true;
+
+      // Cache de dados opcional (ver setDataCache): dataCacheOptions é null
+      // quando desligada; cacheMissCycles conta os ciclos que faltam da falta
+      // em andamento no MEM (null sem falta)
+      this.dataCacheOptions = null;
+      this.dataCache = null;
+      this.cacheMissCycles = null;
+
+      // Cache de instruções opcional (ver setInstructionCache), da mesma
+      // forma; fetchMissAddress é o endereço cuja falta o IF está esperando
+      this.instructionCacheOptions = null;
+      this.instructionCache = null;
+      this.fetchMissCycles = null;
+      this.fetchMissAddress = null;
 
       // Estado do pipeline
       this.stalled = false;
+      this.stallCause = null;   // StallCause do stall do ciclo atual
       this.cycle = 0;
-
-      // Cache de instruções
-      this.instructionCache = new Map();
+      this.retiredCount = 0;    // Instruções concluídas no WB
+      this.stats = createStatistics();
+      this.haltReason = null;   // HaltReason quando o programa termina
+      this.unhandledException = null;  // { code, epc, badVAddr } de uma exceção sem tratador
+
+      // Cada busca recebe um número (seq) que acompanha a instrução nos latches
+      this.nextSeq = 0;
+      this.fetchSeq = null;     // seq da instrução no latch IF
+      this.fetchPC = null;      // Endereço da instrução no latch IF
+      this.fetchInDelaySlot = false;  // A instrução no latch IF está num delay slot
+      this.predictedPC = null;  // Próximo PC previsto na busca dessa instrução
+      this.slotTarget = null;   // Endereço a buscar depois do delay slot ainda não buscado
+      this.timeline = new PipelineTimeline();
+      this.history = new ExecutionHistory();  // Snapshots para voltar ciclos
+
+      // Console dos syscalls
+      this.consoleOutput = '';        // Tudo o que o programa escreveu
+      this.inputQueue = [];           // Linhas de entrada ainda não lidas
+      this.waitingForInput = false;   // syscall de leitura parado no MEM sem entrada
+      this.exitRequested = false;     // syscall exit executado: nada mais é buscado
+      this.heapBreak = HEAP_BASE_ADDRESS;  // Próximo endereço livre do sbrk
+
+      // Memória de instruções (endereço -> Instruction)
+      this.instructionMemory = new Map();
+      this.symbols = new Map();  // Índice de instrução -> nome do label
+      this.labelAddresses = new Map();  // Nome do label (texto ou dados) -> endereço em bytes
+
+      // Pontos de parada; breakpointHits guarda os atingidos no último ciclo
+      this.breakpoints = [];
+      this.nextBreakpointId = 1;
+      this.breakpointHits = [];
+
+      // Assinantes dos eventos do simulador (SimulatorEvent -> funções)
+      this.listeners = new Map();
+
+      // Diagnósticos do montador e linha em montagem (segunda passagem)
+      this.diagnostics = [];
+      this.assemblingLine = null;
+      this.sourceLines = { program: [], handler: [] };
 
       // Estado de execução
       this.isRunning = false;
@@ -213,30 +2074,111 @@ class MIPSPipeline {
     * - Atualiza estado do pipeline
     */
    executeCycle() {
-      console.log('Executando ciclo...'); // Debug log
+      debugLog('Executando ciclo...'); // Debug log
+
+      // Programas com erros de montagem não são executados
+      if (this.hasAssemblyErrors()) {
+         debugLog('Programa com erros de montagem, ciclo não executado'); // Debug log
+         return;
+      }
+
+      // Programa já terminou: só volta a executar depois de reset
+      if (this.haltReason) {
+         debugLog('Programa terminado, ciclo não executado'); // Debug log
+         return;
+      }
+
+      // syscall de leitura aguardando entrada: o pipeline fica parado sem contar ciclos
+      if (this.waitingForInput && this.inputQueue.length === 0) {
+         debugLog('Aguardando entrada do console'); // Debug log
+         return;
+      }
+
+      // Estado inicial do programa, para poder voltar ao ciclo 0
+      if (this.history.isEmpty()) {
+         this.recordHistory();
+      }
+
+      // Instruções em cada latch antes do ciclo, para saber quais chegaram a um estágio
+      this.breakpointHits = [];
+      const previousSeqs = this.getStageSeqs();
 
       // Executar forwarding antes de avançar as instruções
       this.executeForwarding();
 
       // Verificar hazards
-      const hasHazard = this.detectHazards();
-      if (hasHazard) {
-         console.log('Hazard detectado, pipeline estagnado'); // Debug log
-         this.stalled = true;
-      } else {
-         this.stalled = false;
+      const hazard = this.detectHazards();
+      this.stalled = false;
+      this.stallCause = null;
+      if (hazard) {
+         debugLog('Hazard detectado, pipeline estagnado'); // Debug log
+         this.stall(hazard);
       }
 
       // Executar estágios em ordem reversa para evitar sobrescrita
       this.executeWB();
       this.executeMEM();
-      this.executeEX();
-      this.executeID();
-      this.executeIF();
+      if (this.waitingForInput) {
+         // O syscall continua no EX/MEM: os estágios anteriores ficam congelados
+         this.stall(StallCause.INPUT);
+      } else if (this.cacheMissCycles !== null) {
+         // Load/store esperando o bloco da memória, da mesma forma
+         this.stall(StallCause.CACHE_MISS);
+      } else {
+         this.executeEX();
+         this.executeID();
+         this.executeIF();
+      }
 
       this.cycle++;
-      console.log(`Ciclo ${this.cycle} completado`); // Debug log
-      this.updateUI();
+      debugLog(`Ciclo ${this.cycle} completado`); // Debug log
+      this.timeline.record(this);
+
+      if (this.stalled) {
+         this.stats.stallCycles++;
+         this.stats.stalls[this.stallCause]++;
+         this.emit(SimulatorEvent.STALL, { cycle: this.cycle, instruction: this.pipelineStages.IF, cause: this.stallCause });
+      }
+
+      // O término é decidido antes do evento de ciclo, para a interface já exibir o resumo
+      const haltReason = this.detectHalt();
+      if (haltReason) {
+         this.haltReason = haltReason;
+         this.stop();
+      }
+      this.recordHistory();
+
+      // Pontos de parada atingidos pausam a execução contínua
+      this.checkInstructionBreakpoints(previousSeqs);
+      if (this.breakpointHits.length > 0) {
+         debugLog(`Ponto de parada atingido no ciclo ${this.cycle}`); // Debug log
+         this.stop();
+         this.emit(SimulatorEvent.BREAKPOINT, { cycle: this.cycle, hits: this.breakpointHits });
+      }
+
+      this.emit(SimulatorEvent.CYCLE, { cycle: this.cycle, pc: this.PC, stalled: this.stalled });
+      if (haltReason) {
+         debugLog(`Programa terminado (${haltReason}) após ${this.cycle} ciclos`); // Debug log
+         this.emit(SimulatorEvent.HALT, {
+            reason: haltReason, cycle: this.cycle, retired: this.retiredCount, pc: this.PC,
+            exception: this.unhandledException
+         });
+      }
+   }
+
+   // Marca o ciclo como stall; entre as causas detectadas no ciclo, a contada
+   // é a de maior prioridade (StallCausePriority)
+   stall(cause) {
+      this.stalled = true;
+      if (!this.stallCause || StallCausePriority.indexOf(cause) < StallCausePriority.indexOf(this.stallCause)) {
+         this.stallCause = cause;
+      }
+   }
+
+   // Causa de um stall por dependência: load-use se um dos produtores pendentes é um load
+   dataStallCause(registers) {
+      const pendingLoad = producer => LoadOpcodes.includes(producer.opcode);
+      return registers.some(reg => this.hasPendingWrite(reg, pendingLoad)) ? StallCause.LOAD_USE : StallCause.DATA;
    }
 
    /**
@@ -245,23 +2187,78 @@ class MIPSPipeline {
     * Responsabilidades:
     * 1. Busca a próxima instrução da memória usando o PC
     * 2. Armazena a instrução no estágio IF do pipeline
-    * 3. Incrementa o PC para a próxima instrução
-    * 4. Trata stalls do pipeline
+    * 3. Avança o PC para o próximo endereço previsto (PC + 4 ou alvo do BTB,
+    *    depois do delay slot quando ele está ligado)
+    * 4. Trata stalls do pipeline e faltas na cache de instruções
     *
     * Hazards:
-    * - Controle: Branches podem causar mudanças no PC
-    * - Estrutural: Conflitos de acesso à memória
+    * - Controle: A busca segue especulativamente o caminho previsto
     */
    executeIF() {
-      if (!this.stalled) {
+      if (!this.stalled && !this.exitRequested) {
+         if (this.waitForInstructionCache(this.PC)) return;
+
          const instruction = this.fetchInstruction(this.PC);
          if (instruction) {
-            console.log('IF: Buscando instrução', instruction.toString()); // Debug log
+            debugLog('IF: Buscando instrução', instruction.toString()); // Debug log
             this.pipelineStages.IF = instruction;
+            this.fetchSeq = this.nextSeq++;  // Identifica esta execução da instrução
+            this.fetchPC = this.PC;
+            this.fetchInDelaySlot = this.slotTarget !== null;
+            if (this.slotTarget !== null) {
+               // Delay slot: a busca segue para o endereço previsto para o branch
+               this.predictedPC = this.slotTarget;
+               this.PC = this.slotTarget;
+               this.slotTarget = null;
+            } else if (this.hasDelaySlot(instruction)) {
+               this.predictedPC = this.predictNextPC(this.PC, instruction);
+               this.slotTarget = this.predictedPC;
+               this.PC = this.PC + 4;
+            } else {
+               this.predictedPC = this.predictNextPC(this.PC, instruction);
+               this.PC = this.predictedPC;
+            }
+         } else if (this.slotTarget !== null) {
+            // Sem instrução no delay slot: segue direto para o endereço previsto
+            debugLog('IF: Delay slot vazio no endereço', this.PC); // Debug log
+            this.PC = this.slotTarget;
+            this.slotTarget = null;
          } else {
-            console.log('IF: Nenhuma instrução encontrada no endereço', this.PC); // Debug log
+            debugLog('IF: Nenhuma instrução encontrada no endereço', this.PC); // Debug log
+         }
+      }
+   }
+
+   /**
+    * Busca de uma instrução na cache de instruções, no estágio IF
+    *
+    * Numa falta, o IF fica vazio pelos ciclos de latência da memória (stall
+    * ICACHE_MISS) e a instrução só é buscada depois. Se o PC foi desviado
+    * durante a falta, o bloco termina de chegar e o novo endereço passa pela
+    * cache. Retorna true enquanto a busca espera; endereços sem instrução
+    * não chegam à cache.
+    */
+   waitForInstructionCache(address) {
+      if (!this.instructionCache) return false;
+
+      if (this.fetchMissCycles === null) {
+         if (address % 4 !== 0 || !this.instructionMemory.has(address)) return false;
+         if (this.history.isShared(this.instructionCache)) {
+            this.instructionCache = this.instructionCache.clone();
          }
+         this.fetchMissCycles = this.instructionCache.access(address, false);
+         this.fetchMissAddress = address;
+         debugLog(`Cache de instruções: ${this.fetchMissCycles > 0 ? 'falta' : 'acerto'} em ${address}`); // Debug log
       }
+      if (this.fetchMissCycles > 0) {
+         this.fetchMissCycles--;
+         this.stall(StallCause.ICACHE_MISS);
+         return true;
+      }
+      const missAddress = this.fetchMissAddress;
+      this.fetchMissCycles = null;
+      this.fetchMissAddress = null;
+      return missAddress !== address && this.waitForInstructionCache(address);
    }
 
    /**
@@ -271,7 +2268,7 @@ class MIPSPipeline {
     * 1. Decodifica a instrução em campos (opcode, registradores, etc)
     * 2. Lê valores dos registradores fonte
     * 3. Detecta e trata hazards de dados
-    * 4. Gerencia instruções de controle (branches e jumps)
+    * 4. Resolve jumps e, quando configurado, branches condicionais
     * 5. Atualiza o preditor de branch
     *
     * Hazards:
@@ -281,59 +2278,96 @@ class MIPSPipeline {
    executeID() {
       if (this.pipelineStages.IF) {
          const instruction = this.pipelineStages.IF;
-         console.log('ID: Decodificando instrução', instruction.toString()); // Debug log
+         const pc = this.fetchPC; // Endereço da instrução (link de jal/jalr e EPC)
+         debugLog('ID: Decodificando instrução', instruction.toString()); // Debug log
+
+         // Instrução reservada ou busca inválida: segue sem efeitos até o MEM,
+         // onde a exceção é tratada
+         if (instruction.type === InstructionType.INVALID) {
+            this.pipelineStages.ID = {
+               instruction: instruction,
+               pc: pc,
+               seq: this.fetchSeq,
+               delaySlot: this.fetchInDelaySlot,
+               exception: instruction.fetchException || { code: ExceptionCode.RESERVED_INSTRUCTION }
+            };
+            this.pipelineStages.IF = null;
+            return;
+         }
+
+         // Jumps são sempre resolvidos no ID; branches condicionais, no estágio configurado
+         const resolvedInID = !isBranchInstruction(instruction) ||
+            this.branchResolutionStage === BranchResolutionStage.ID;
 
          // Tratar instruções de controle
-         if (instruction.opcode === Opcode.BEQ || instruction.opcode === Opcode.J) {
-            if (instruction.opcode === Opcode.BEQ) {
-               // Obter valores dos registradores
+         if (isControlInstruction(instruction) && resolvedInID) {
+            if (isBranchInstruction(instruction)) {
+               // Obter valores dos registradores (com forwarding para o ID)
                const rs = instruction.rs;
                const rt = instruction.rt;
-               const rsValue = this.registradores[rs] || 0;
-               const rtValue = this.registradores[rt] || 0;
+               const forwards = [];
+               const rsValue = this.readOperandInID(rs, forwards);
+               const rtValue = this.readOperandInID(rt, forwards);
+
+               // Operando ainda sendo produzido: manter o branch no IF e inserir bolha
+               if (rsValue === null || rtValue === null) {
+                  debugLog(`ID: ${instruction.opcode} aguardando operandos, stall`); // Debug log
+                  this.stall(this.dataStallCause([rs, rt]));
+                  return;
+               }
+               forwards.forEach(forward => this.recordForward(...forward));
 
                // Comparar valores para decidir se o branch é tomado
-               const actualTaken = rsValue === rtValue;
-
-               console.log(`BEQ: ${RegisterName[rs]}=${rsValue}, ${RegisterName[rt]}=${rtValue}, taken=${actualTaken}`);
-               console.log(`Índices de registradores: rs=${rs}, rt=${rt}`);
-
-               // Se o branch for tomado, ajustar o PC para o endereço alvo
-               if (actualTaken) {
-                  console.log(`BEQ tomado: Ajustando PC para ${instruction.offset} (endereço ${instruction.offset * 4})`);
-                  // Já resolvemos o label para um índice de instrução, então precisamos converter para endereço
-                  this.PC = instruction.offset * 4;
-
-                  // Inserir NOPs no pipeline
-                  this.pipelineStages.IF = {
-                     type: InstructionType.NOP,
-                     opcode: 'nop',
-                     toString() { return 'nop'; }
-                  };
-               } else {
-                  // Se não tomado, incrementar PC normalmente
-                  console.log(`BEQ não tomado: Mantendo PC normal ${this.PC} -> ${this.PC + 4}`);
-                  this.PC = this.PC + 4;
+               const actualTaken = this.evaluateBranch(instruction, rsValue, rtValue);
+
+               debugLog(`${instruction.opcode.toUpperCase()}: ${getRegisterName(rs)}=${rsValue}, ${getRegisterName(rt)}=${rtValue}, taken=${actualTaken}`);
+               debugLog(`Índices de registradores: rs=${rs}, rt=${rt}`);
+
+               this.resolveBranch(instruction, pc, this.fetchSeq, this.predictedPC, actualTaken);
+            } else if (instruction.opcode === Opcode.J || instruction.opcode === Opcode.JAL) {
+               debugLog(`${instruction.opcode.toUpperCase()}: pulando para índice ${instruction.target} (endereço ${instruction.target * 4})`); // Debug log
+               this.resolveControl(instruction, pc, this.fetchSeq, this.predictedPC, instruction.target * 4);
+            } else if (instruction.opcode === Opcode.ERET) {
+               // Um mtc0 ainda não concluído pode estar alterando o EPC
+               const exInstruction = this.pipelineStages.EX && this.pipelineStages.EX.instruction;
+               if (exInstruction && exInstruction.opcode === Opcode.MTC0) {
+                  debugLog('ID: eret aguardando mtc0, stall'); // Debug log
+                  this.stall(StallCause.DATA);
+                  return;
+               }
+
+               debugLog(`ERET: retornando para EPC ${this.cp0[CP0Register.EPC]}`); // Debug log
+               this.resolveControl(instruction, pc, this.fetchSeq, this.predictedPC, this.cp0[CP0Register.EPC]);
+            } else {
+               // jr/jalr: o alvo vem de um registrador, que pode estar em trânsito no pipeline
+               const forwards = [];
+               const target = this.readOperandInID(instruction.rs, forwards);
+               if (target === null) {
+                  debugLog(`ID: ${instruction.opcode} aguardando ${getRegisterName(instruction.rs)}, stall`); // Debug log
+                  this.stall(this.dataStallCause([instruction.rs]));
+                  return;
                }
-            } else if (instruction.opcode === Opcode.J) {
-               console.log(`J: pulando para índice ${instruction.target} (endereço ${instruction.target * 4})`); // Debug log
-               this.PC = instruction.target * 4;
-
-               // Inserir NOPs no pipeline
-               this.pipelineStages.IF = {
-                  type: InstructionType.NOP,
-                  opcode: 'nop',
-                  toString() { return 'nop'; }
-               };
+               forwards.forEach(forward => this.recordForward(...forward));
+
+               debugLog(`${instruction.opcode.toUpperCase()}: pulando para endereço ${target >>> 0}`); // Debug log
+               this.resolveControl(instruction, pc, this.fetchSeq, this.predictedPC, target >>> 0);
             }
          } else {
-            // Para instruções não-branch, incrementar PC normalmente
-            console.log(`Instrução normal: Incrementando PC ${this.PC} -> ${this.PC + 4}`);
-            this.PC = this.PC + 4;
+            // Branches resolvidos no EX ou MEM recebem os operandos como qualquer instrução
+            const hazard = this.detectDataHazard(instruction);
+            if (hazard) {
+               debugLog(`ID: ${instruction.opcode} aguardando operandos (${hazard}), stall`); // Debug log
+               this.stall(hazard);
+               return;
+            }
          }
 
          this.pipelineStages.ID = {
             instruction: instruction,
+            pc: pc,
+            seq: this.fetchSeq,
+            delaySlot: this.fetchInDelaySlot,
+            predictedPC: this.predictedPC,
             rsValue: this.registradores[instruction.rs] || 0,
             rtValue: this.registradores[instruction.rt] || 0
          };
@@ -341,6 +2375,135 @@ class MIPSPipeline {
       }
    }
 
+   // Com o delay slot ligado, branches e jumps (exceto eret) executam a instrução seguinte
+   hasDelaySlot(instruction) {
+      return this.delaySlotEnabled && isControlInstruction(instruction) && instruction.opcode !== Opcode.ERET;
+   }
+
+   // Endereço seguinte a um branch ou jump em pc quando ele não desvia
+   nextSequentialPC(instruction, pc) {
+      return pc + (this.hasDelaySlot(instruction) ? 8 : 4);
+   }
+
+   /**
+    * Resolve um branch condicional no estágio configurado: treina o preditor,
+    * contabiliza o acerto ou erro e confere o próximo PC
+    */
+   resolveBranch(instruction, pc, seq, predictedPC, actualTaken) {
+      // O label já foi resolvido para um índice de instrução: alvo = índice * 4
+      const target = instruction.offset * 4;
+      const fallThrough = this.nextSequentialPC(instruction, pc);
+
+      if (this.history.isShared(this.branchPredictor)) {
+         this.branchPredictor = this.branchPredictor.clone();
+      }
+      this.branchPredictor.update(pc, actualTaken, target);
+      debugLog(`Atualizando preditor em PC ${pc}: taken=${actualTaken}`); // Debug log
+      this.recordBranchOutcome(pc, predictedPC !== fallThrough, actualTaken);
+      this.resolveControl(instruction, pc, seq, predictedPC, actualTaken ? target : fallThrough);
+   }
+
+   /**
+    * Confere o próximo PC de um branch ou jump (seq) com o previsto na busca
+    *
+    * O desvio tomado entra no BTB. Na predição errada, as instruções mais novas
+    * que o branch (fora o delay slot) foram buscadas no caminho errado: as que
+    * estão nos latches IF/ID são descartadas, a busca deste ciclo não acontece
+    * e o PC é redirecionado. O ciclo sem busca é um stall de controle, e cada
+    * instrução descartada conta em stats.flushes. Se o delay slot ainda não foi
+    * buscado, basta corrigir o endereço que vem depois dele, sem penalidade.
+    */
+   resolveControl(instruction, pc, seq, predictedPC, actualPC) {
+      if (actualPC !== this.nextSequentialPC(instruction, pc)) {
+         this.branchTargetBuffer.set(pc, actualPC);
+      }
+      if (actualPC === predictedPC) return;
+
+      debugLog(`Predição errada em PC ${pc}: previsto ${predictedPC}, correto ${actualPC}`); // Debug log
+      if (this.hasDelaySlot(instruction) && this.nextSeq === seq + 1) {
+         this.slotTarget = actualPC;
+         return;
+      }
+
+      const lastKept = this.hasDelaySlot(instruction) ? seq + 1 : seq;
+      if (this.pipelineStages.ID && this.pipelineStages.ID.seq > lastKept) {
+         this.pipelineStages.ID = null;
+         this.stats.flushes++;
+      }
+      if (this.pipelineStages.IF && this.fetchSeq > lastKept) {
+         this.pipelineStages.IF = null;
+         this.stats.flushes++;
+      }
+      this.PC = actualPC;
+      this.slotTarget = null;
+      this.stall(StallCause.CONTROL);
+   }
+
+   /**
+    * Avalia a condição de um branch condicional
+    *
+    * Caminho único de resolução usado por todos os branches (beq, bne,
+    * blez, bgtz, bltz, bgez). Retorna true se o branch deve ser tomado.
+    */
+   evaluateBranch(instruction, rsValue, rtValue) {
+      switch (instruction.opcode) {
+         case Opcode.BEQ:
+            return rsValue === rtValue;
+         case Opcode.BNE:
+            return rsValue !== rtValue;
+         case Opcode.BLEZ:
+            return rsValue <= 0;
+         case Opcode.BGTZ:
+            return rsValue > 0;
+         case Opcode.BLTZ:
+            return rsValue < 0;
+         case Opcode.BGEZ:
+            return rsValue >= 0;
+         default:
+            return false;
+      }
+   }
+
+   /**
+    * Lê um operando no estágio ID (comparação dos branches)
+    *
+    * O registrador pode estar sendo produzido por instruções à frente:
+    * - EX: resultado calculado neste mesmo ciclo, ainda não disponível (stall)
+    * - MEM: resultado de ALU pode ser adiantado; load ainda está lendo a memória (stall)
+    * - WB: já foi escrito no banco de registradores neste ciclo
+    *
+    * Retorna null quando o valor ainda não está disponível. Os forwardings
+    * usados são acrescentados a forwards, para serem registrados só se a
+    * instrução seguir adiante.
+    */
+   readOperandInID(register, forwards = []) {
+      if (register === Register.ZERO) return 0;
+
+      if (this.pipelineStages.EX && getDestinationRegister(this.pipelineStages.EX.instruction) === register) {
+         return null;
+      }
+
+      if (this.pipelineStages.MEM && getDestinationRegister(this.pipelineStages.MEM.instruction) === register) {
+         if (!this.forwardingEnabled || !isALUInstruction(this.pipelineStages.MEM.instruction)) return null;
+         debugLog(`Forwarding MEM->ID: ${getRegisterName(register)} =`, this.pipelineStages.MEM.result); // Debug log
+         forwards.push([register,
+            { seq: this.pipelineStages.MEM.seq, stage: 'MEM', cycle: this.cycle + 1 },
+            { seq: this.fetchSeq, stage: 'ID', cycle: this.cycle + 1 }]);
+         return this.pipelineStages.MEM.result;
+      }
+
+      return this.registradores[register] || 0;
+   }
+
+   // Verifica se uma instrução em EX ou MEM (opcionalmente filtrada) ainda vai
+   // escrever no registrador
+   hasPendingWrite(register, filter = () => true) {
+      return ['EX', 'MEM'].some(stage => {
+         const latch = this.pipelineStages[stage];
+         return latch && getDestinationRegister(latch.instruction) === register && filter(latch.instruction);
+      });
+   }
+
    /**
     * Estágio EX - Execução
     *
@@ -356,47 +2519,244 @@ class MIPSPipeline {
     */
    executeEX() {
       if (this.pipelineStages.ID) {
-         const { instruction, rsValue, rtValue } = this.pipelineStages.ID;
-         console.log('EX: Executando instrução', instruction.toString()); // Debug log
+         const { instruction, pc, seq, delaySlot, predictedPC, rsValue, rtValue } = this.pipelineStages.ID;
+         debugLog('EX: Executando instrução', instruction.toString()); // Debug log
          let result;
+         let exception = this.pipelineStages.ID.exception || null;
 
-         switch (instruction.opcode) {
+         // Instruções com exceção pendente não são executadas
+         switch (exception ? null : instruction.opcode) {
             case Opcode.ADD:
                result = rsValue + rtValue;
-               console.log(`ADD: ${rsValue} + ${rtValue} = ${result}`); // Debug log
+               if (overflows(result)) exception = { code: ExceptionCode.OVERFLOW };
+               debugLog(`ADD: ${rsValue} + ${rtValue} = ${result}`); // Debug log
                break;
             case Opcode.SUB:
                result = rsValue - rtValue;
-               console.log(`SUB: ${rsValue} - ${rtValue} = ${result}`); // Debug log
+               if (overflows(result)) exception = { code: ExceptionCode.OVERFLOW };
+               debugLog(`SUB: ${rsValue} - ${rtValue} = ${result}`); // Debug log
+               break;
+            case Opcode.ADDU:
+               result = (rsValue + rtValue) | 0;
+               debugLog(`ADDU: ${rsValue} + ${rtValue} = ${result}`); // Debug log
+               break;
+            case Opcode.SUBU:
+               result = (rsValue - rtValue) | 0;
+               debugLog(`SUBU: ${rsValue} - ${rtValue} = ${result}`); // Debug log
                break;
             case Opcode.MUL:
-               result = rsValue * rtValue;
-               console.log(`MUL: ${rsValue} * ${rtValue} = ${result}`); // Debug log
+               // 32 bits menos significativos do produto (sem perda de precisão)
+               result = Math.imul(rsValue, rtValue);
+               debugLog(`MUL: ${rsValue} * ${rtValue} = ${result}`); // Debug log
+               break;
+            case Opcode.MULT:
+            case Opcode.MULTU:
+            case Opcode.DIV:
+            case Opcode.DIVU:
+               this.executeHiLo(instruction.opcode, rsValue, rtValue);
+               break;
+            case Opcode.MFHI:
+               result = this.hi;
+               debugLog(`MFHI: ${result}`); // Debug log
+               break;
+            case Opcode.MFLO:
+               result = this.lo;
+               debugLog(`MFLO: ${result}`); // Debug log
+               break;
+            case Opcode.AND:
+               result = rsValue & rtValue;
+               debugLog(`AND: ${rsValue} & ${rtValue} = ${result}`); // Debug log
+               break;
+            case Opcode.OR:
+               result = rsValue | rtValue;
+               debugLog(`OR: ${rsValue} | ${rtValue} = ${result}`); // Debug log
+               break;
+            case Opcode.XOR:
+               result = rsValue ^ rtValue;
+               debugLog(`XOR: ${rsValue} ^ ${rtValue} = ${result}`); // Debug log
+               break;
+            case Opcode.NOR:
+               result = ~(rsValue | rtValue);
+               debugLog(`NOR: ~(${rsValue} | ${rtValue}) = ${result}`); // Debug log
+               break;
+            case Opcode.SLT:
+               result = rsValue < rtValue ? 1 : 0;
+               debugLog(`SLT: ${rsValue} < ${rtValue} = ${result}`); // Debug log
+               break;
+            case Opcode.SLTU:
+               result = (rsValue >>> 0) < (rtValue >>> 0) ? 1 : 0;
+               debugLog(`SLTU: ${rsValue >>> 0} < ${rtValue >>> 0} = ${result}`); // Debug log
+               break;
+            case Opcode.SLL:
+               result = rtValue << instruction.shamt;
+               debugLog(`SLL: ${rtValue} << ${instruction.shamt} = ${result}`); // Debug log
+               break;
+            case Opcode.SRL:
+               // Resultado mantido como inteiro de 32 bits com sinal
+               result = (rtValue >>> instruction.shamt) | 0;
+               debugLog(`SRL: ${rtValue} >>> ${instruction.shamt} = ${result}`); // Debug log
+               break;
+            case Opcode.SRA:
+               result = rtValue >> instruction.shamt;
+               debugLog(`SRA: ${rtValue} >> ${instruction.shamt} = ${result}`); // Debug log
+               break;
+            case Opcode.SLLV:
+               result = rtValue << (rsValue & 31);
+               debugLog(`SLLV: ${rtValue} << ${rsValue & 31} = ${result}`); // Debug log
+               break;
+            case Opcode.SRLV:
+               result = (rtValue >>> (rsValue & 31)) | 0;
+               debugLog(`SRLV: ${rtValue} >>> ${rsValue & 31} = ${result}`); // Debug log
+               break;
+            case Opcode.SRAV:
+               result = rtValue >> (rsValue & 31);
+               debugLog(`SRAV: ${rtValue} >> ${rsValue & 31} = ${result}`); // Debug log
+               break;
+            case Opcode.JAL:
+            case Opcode.JALR:
+               // Endereço de retorno: instrução seguinte ao jump (ou ao delay slot)
+               result = this.nextSequentialPC(instruction, pc);
+               debugLog(`${instruction.opcode.toUpperCase()}: link = ${result}`); // Debug log
+               break;
+            case Opcode.ADDI:
+               result = rsValue + instruction.immediate;
+               if (overflows(result)) exception = { code: ExceptionCode.OVERFLOW };
+               debugLog(`ADDI: ${rsValue} + ${instruction.immediate} = ${result}`); // Debug log
+               break;
+            case Opcode.ADDIU:
+               result = (rsValue + instruction.immediate) | 0;
+               debugLog(`ADDIU: ${rsValue} + ${instruction.immediate} = ${result}`); // Debug log
+               break;
+            case Opcode.ANDI:
+               result = rsValue & instruction.immediate;
+               debugLog(`ANDI: ${rsValue} & ${instruction.immediate} = ${result}`); // Debug log
+               break;
+            case Opcode.ORI:
+               result = rsValue | instruction.immediate;
+               debugLog(`ORI: ${rsValue} | ${instruction.immediate} = ${result}`); // Debug log
+               break;
+            case Opcode.XORI:
+               result = rsValue ^ instruction.immediate;
+               debugLog(`XORI: ${rsValue} ^ ${instruction.immediate} = ${result}`); // Debug log
+               break;
+            case Opcode.SLTI:
+               result = rsValue < instruction.immediate ? 1 : 0;
+               debugLog(`SLTI: ${rsValue} < ${instruction.immediate} = ${result}`); // Debug log
+               break;
+            case Opcode.SLTIU:
+               // Comparação sem sinal: o imediato estendido é reinterpretado como unsigned
+               result = (rsValue >>> 0) < (instruction.immediate >>> 0) ? 1 : 0;
+               debugLog(`SLTIU: ${rsValue >>> 0} < ${instruction.immediate >>> 0} = ${result}`); // Debug log
+               break;
+            case Opcode.LUI:
+               result = instruction.immediate << 16;
+               debugLog(`LUI: ${instruction.immediate} << 16 = ${result}`); // Debug log
+               break;
+            case Opcode.MFC0:
+               result = this.cp0[instruction.rd] | 0;
+               debugLog(`MFC0: CP0[${instruction.rd}] = ${result}`); // Debug log
+               break;
+            case Opcode.MTC0:
+               // O valor é escrito no CP0 no estágio MEM
+               result = rtValue;
+               break;
+            case Opcode.LW:
+            case Opcode.LH:
+            case Opcode.LHU:
+            case Opcode.LB:
+            case Opcode.LBU:
+            case Opcode.SW:
+            case Opcode.SH:
+            case Opcode.SB:
+               // Endereço efetivo; o acesso é feito no MEM
+               result = rsValue + instruction.offset;
+               debugLog(`${instruction.opcode.toUpperCase()}: endereço ${rsValue} + ${instruction.offset} = ${result}`); // Debug log
                break;
             case Opcode.BEQ:
-               result = rsValue === rtValue;
-               console.log(`BEQ: Comparando ${RegisterName[instruction.rs]}=${rsValue} === ${RegisterName[instruction.rt]}=${rtValue} = ${result}`); // Debug log
+            case Opcode.BNE:
+            case Opcode.BLEZ:
+            case Opcode.BGTZ:
+            case Opcode.BLTZ:
+            case Opcode.BGEZ:
+               result = this.evaluateBranch(instruction, rsValue, rtValue);
+               debugLog(`${instruction.opcode.toUpperCase()}: ${getRegisterName(instruction.rs)}=${rsValue}, ${getRegisterName(instruction.rt)}=${rtValue} = ${result}`); // Debug log
                this.dumpRegisters();
                break;
          }
 
+         if (exception) {
+            debugLog(`EX: exceção ${ExceptionName[exception.code]} pendente`); // Debug log
+            result = undefined;
+         }
+
          this.pipelineStages.EX = {
             instruction: instruction,
-            result: result
+            pc: pc,
+            seq: seq,
+            delaySlot: delaySlot,
+            predictedPC: predictedPC,
+            result: result,
+            // Dado do store já com forwarding, gravado no MEM
+            storeValue: StoreOpcodes.includes(instruction.opcode) ? rtValue : undefined,
+            exception: exception
          };
          this.pipelineStages.ID = null;
+
+         if (!exception && isBranchInstruction(instruction) &&
+            this.branchResolutionStage === BranchResolutionStage.EX) {
+            this.resolveBranch(instruction, pc, seq, predictedPC, result);
+         }
+      }
+   }
+
+   /**
+    * Executa mult, multu, div e divu, escrevendo em HI/LO
+    *
+    * A multiplicação usa BigInt para obter o produto exato de 64 bits.
+    * HI/LO são escritos já no EX: qualquer instrução mais antiga que pudesse
+    * gerar exceção já passou pelo MEM, então a escrita continua precisa.
+    */
+   executeHiLo(opcode, rsValue, rtValue) {
+      switch (opcode) {
+         case Opcode.MULT:
+         case Opcode.MULTU: {
+            const unsigned = opcode === Opcode.MULTU;
+            const a = BigInt(unsigned ? rsValue >>> 0 : rsValue | 0);
+            const b = BigInt(unsigned ? rtValue >>> 0 : rtValue | 0);
+            const product = a * b;
+            this.hi = Number(BigInt.asIntN(32, product >> 32n));
+            this.lo = Number(BigInt.asIntN(32, product));
+            break;
+         }
+         case Opcode.DIV:
+         case Opcode.DIVU: {
+            if ((rtValue | 0) === 0) {
+               debugLog(`${opcode.toUpperCase()}: divisão por zero, HI/LO inalterados`); // Debug log
+               return;
+            }
+            if (opcode === Opcode.DIV) {
+               // Quociente truncado em direção a zero; o resto tem o sinal do dividendo
+               this.lo = Math.trunc((rsValue | 0) / (rtValue | 0)) | 0;
+               this.hi = ((rsValue | 0) % (rtValue | 0)) | 0;
+            } else {
+               this.lo = Math.floor((rsValue >>> 0) / (rtValue >>> 0)) | 0;
+               this.hi = ((rsValue >>> 0) % (rtValue >>> 0)) | 0;
+            }
+            break;
+         }
       }
+      debugLog(`${opcode.toUpperCase()}: HI = ${this.hi}, LO = ${this.lo}`); // Debug log
    }
 
    // Método para mostrar o estado atual dos registradores
    dumpRegisters() {
-      console.log("=== Estado dos Registradores ===");
+      debugLog("=== Estado dos Registradores ===");
       for (let i = 0; i <= 31; i++) {
          if (this.registradores[i] !== 0) {
-            console.log(`${RegisterName[i]} = ${this.registradores[i]}`);
+            debugLog(`${getRegisterName(i)} = ${this.registradores[i]}`);
          }
       }
-      console.log("===============================");
+      debugLog("===============================");
    }
 
    /**
@@ -406,34 +2766,181 @@ class MIPSPipeline {
     * 1. Acessa memória para instruções load/store
     * 2. Lê ou escreve dados da memória
     * 3. Passa resultados adiante para outras instruções
+    * 4. Trata exceções (ponto de commit): escritas no CP0 e desvio para o tratador
     *
     * Hazards:
-    * - Estrutural: Conflitos de acesso à memória
     * - Dados: Resolvido via forwarding
+    * - Falta na cache de dados: o pipeline para pela penalidade da falta
     */
    executeMEM() {
       if (this.pipelineStages.EX) {
-         let { instruction, result } = this.pipelineStages.EX;
-         console.log('MEM: Acessando memória para instrução', instruction.toString()); // Debug log
-
-         if (instruction.opcode === Opcode.LW) {
-            const address = this.registradores[instruction.rs] + instruction.offset;
-            // Converter endereço de memória para índice de array
-            result = this.memoria[address / 4];
-            console.log(`LW: endereço=${address}, valor=${result}`); // Debug log
-         } else if (instruction.opcode === Opcode.SW) {
-            const address = this.registradores[instruction.rs] + instruction.offset;
-            // Converter endereço de memória para índice de array
-            this.memoria[address / 4] = this.registradores[instruction.rt];
-            console.log(`SW: endereço=${address}, valor=${this.registradores[instruction.rt]}`); // Debug log
+         let { instruction, pc, seq, delaySlot, predictedPC, result, storeValue, exception } = this.pipelineStages.EX;
+         debugLog('MEM: Acessando memória para instrução', instruction.toString()); // Debug log
+
+         const size = MemoryAccessSize[instruction.opcode];
+
+         try {
+            if (exception) {
+               // Exceção detectada em estágio anterior: nenhum acesso é feito
+            } else if (this.waitForDataCache(instruction, result)) {
+               return;  // Falta na cache: o load/store fica no EX/MEM
+            } else if (LoadOpcodes.includes(instruction.opcode)) {
+               // O endereço foi calculado no EX
+               const address = result;
+               result = this.readMemory(address, size, SignedLoadOpcodes.includes(instruction.opcode));
+               debugLog(`${instruction.opcode.toUpperCase()}: endereço=${address}, valor=${result}`); // Debug log
+            } else if (StoreOpcodes.includes(instruction.opcode)) {
+               this.writeMemory(result, size, storeValue);
+               debugLog(`${instruction.opcode.toUpperCase()}: endereço=${result}, valor=${storeValue}`); // Debug log
+               this.checkMemoryWatchpoints(result, size, storeValue, pc);
+            } else if (instruction.opcode === Opcode.SYSCALL) {
+               result = this.executeSyscall();
+               if (this.waitingForInput) return;  // Sem entrada: o syscall fica no EX/MEM
+               if (result === null) exception = { code: ExceptionCode.SYSCALL };
+            }
+         } catch (err) {
+            if (!(err instanceof MemoryAccessError)) throw err;
+            // Acesso inválido: a memória não é alterada e o load não escreve no registrador
+            debugLog(`MEM: ${err.message}`); // Debug log
+            exception = {
+               code: err.isStore ? ExceptionCode.ADDRESS_STORE : ExceptionCode.ADDRESS_LOAD,
+               badVAddr: err.address
+            };
+            result = undefined;
+         }
+
+         // Efeitos no CP0 só acontecem para instruções sem exceção
+         if (!exception && instruction.opcode === Opcode.MTC0) {
+            this.cp0[instruction.rd] = result >>> 0;
+            debugLog(`MTC0: CP0[${instruction.rd}] = ${result}`); // Debug log
+         } else if (!exception && instruction.opcode === Opcode.ERET) {
+            this.cp0[CP0Register.STATUS] &= ~STATUS_EXL;
+         } else if (!exception && isBranchInstruction(instruction) &&
+            this.branchResolutionStage === BranchResolutionStage.MEM) {
+            this.resolveBranch(instruction, pc, seq, predictedPC, result);
+         }
+
+         this.pipelineStages.MEM = {
+            instruction: instruction,
+            pc: pc,
+            seq: seq,
+            result: result,
+            exception: exception
+         };
+         this.pipelineStages.EX = null;
+
+         if (exception) {
+            this.raiseException(exception, pc, delaySlot);
+         }
+      }
+   }
+
+   /**
+    * Acesso de um load/store à cache de dados, no estágio MEM
+    *
+    * O primeiro ciclo consulta a cache; numa falta, a instrução espera no
+    * EX/MEM pelos ciclos de penalidade e só então acessa a memória. Retorna
+    * true enquanto a instrução espera. Endereços inválidos não chegam à
+    * cache: checkMemoryAccess lança MemoryAccessError antes.
+    */
+   waitForDataCache(instruction, address) {
+      const size = MemoryAccessSize[instruction.opcode];
+      if (!this.dataCache || size === undefined) return false;
+
+      if (this.cacheMissCycles === null) {
+         const isStore = StoreOpcodes.includes(instruction.opcode);
+         this.checkMemoryAccess(address, size, isStore);
+         if (this.history.isShared(this.dataCache)) {
+            this.dataCache = this.dataCache.clone();
          }
+         this.cacheMissCycles = this.dataCache.access(address, isStore);
+         debugLog(`Cache de dados: ${this.cacheMissCycles > 0 ? 'falta' : 'acerto'} em ${address}`); // Debug log
+      }
+      if (this.cacheMissCycles > 0) {
+         this.cacheMissCycles--;
+         return true;
+      }
+      this.cacheMissCycles = null;
+      return false;
+   }
+
+   /**
+    * Executa o serviço de syscall indicado em $v0 (chamado no estágio MEM)
+    *
+    * Todas as instruções mais antigas já passaram pelo WB, então $v0, $a0 e
+    * $a1 são lidos direto do banco de registradores. Retorna o novo valor de
+    * $v0 (o mesmo para serviços que não o alteram), null para serviço
+    * desconhecido ou undefined quando falta entrada (waitingForInput).
+    * Acessos inválidos à memória lançam MemoryAccessError.
+    */
+   executeSyscall() {
+      const service = this.registradores[Register.V0];
+      const a0 = this.registradores[Register.A0];
+      const a1 = this.registradores[Register.A1];
+      debugLog(`SYSCALL: serviço ${service}, $a0=${a0}, $a1=${a1}`); // Debug log
+
+      const readsInput = service === SyscallService.READ_INT || service === SyscallService.READ_STRING;
+      this.waitingForInput = readsInput && this.inputQueue.length === 0;
+      if (this.waitingForInput) {
+         this.emit(SimulatorEvent.INPUT_REQUEST, { service });
+         return undefined;
+      }
 
-         this.pipelineStages.MEM = {
-            instruction: instruction,
-            result: result
-         };
-         this.pipelineStages.EX = null;
+      switch (service) {
+         case SyscallService.PRINT_INT:
+            this.writeOutput(String(a0));
+            break;
+         case SyscallService.PRINT_STRING: {
+            let text = '';
+            for (let address = a0; ; address++) {
+               const byte = this.readMemory(address, 1, false);
+               if (byte === 0) break;
+               text += String.fromCharCode(byte);
+            }
+            this.writeOutput(text);
+            break;
+         }
+         case SyscallService.PRINT_CHAR:
+            this.writeOutput(String.fromCharCode(a0 & 0xFF));
+            break;
+         case SyscallService.READ_INT:
+            return parseInt(this.inputQueue.shift().trim(), 10) | 0;
+         case SyscallService.READ_STRING: {
+            // Como no SPIM: até $a1 - 1 caracteres, incluindo a quebra de linha, e o terminador 0
+            if (a1 < 1) break;
+            const text = (this.inputQueue.shift() + '\n').slice(0, a1 - 1);
+            for (let i = 0; i < text.length; i++) {
+               this.writeMemory(a0 + i, 1, text.charCodeAt(i));
+            }
+            this.writeMemory(a0 + text.length, 1, 0);
+            break;
+         }
+         case SyscallService.SBRK: {
+            const address = this.heapBreak;
+            this.heapBreak = alignAddress(this.heapBreak + Math.max(a0, 0), 4);
+            return address | 0;
+         }
+         case SyscallService.EXIT:
+            // Descartar as instruções mais novas e parar a busca
+            this.exitRequested = true;
+            this.pipelineStages.ID = null;
+            this.pipelineStages.IF = null;
+            break;
+         default:
+            return null;
       }
+      return this.registradores[Register.V0];
+   }
+
+   // Acrescenta texto à saída do console
+   writeOutput(text) {
+      this.consoleOutput += text;
+      this.emit(SimulatorEvent.OUTPUT, { text });
+   }
+
+   // Fornece linhas de entrada para read_int/read_string (ex: digitadas no console)
+   provideInput(...lines) {
+      this.inputQueue.push(...lines.map(String));
    }
 
    /**
@@ -448,38 +2955,168 @@ class MIPSPipeline {
     */
    executeWB() {
       if (this.pipelineStages.MEM) {
-         const { instruction, result } = this.pipelineStages.MEM;
-         console.log('WB: Escrevendo resultado da instrução', instruction.toString()); // Debug log
-
-         if (instruction.type === InstructionType.R_TYPE) {
-            this.registradores[instruction.rd] = result;
-            console.log(`WB: registrador ${RegisterName[instruction.rd]} = ${result}`); // Debug log
-         } else if (instruction.opcode === Opcode.LW) {
-            this.registradores[instruction.rt] = result;
-            console.log(`WB: registrador ${RegisterName[instruction.rt]} = ${result}`); // Debug log
+         const { instruction, pc, seq, result, exception } = this.pipelineStages.MEM;
+         debugLog('WB: Escrevendo resultado da instrução', instruction.toString()); // Debug log
+
+         const dest = getDestinationRegister(instruction);
+         if (dest !== null && !exception) {
+            const oldValue = this.registradores[dest];
+            this.writeRegister(dest, result);
+            debugLog(`WB: registrador ${getRegisterName(dest)} = ${result}`); // Debug log
+            this.checkRegisterWatchpoints(dest, oldValue, pc);
          }
 
          this.pipelineStages.WB = {
             instruction: instruction,
+            pc: pc,
+            seq: seq,
             result: result
          };
          this.pipelineStages.MEM = null;
+
+         // Bolhas (sem palavra) e instruções que geraram exceção não são concluídas
+         if (!exception && instruction.word !== null) {
+            this.retiredCount++;
+            this.emit(SimulatorEvent.RETIRE, { cycle: this.cycle + 1, instruction, pc });
+         }
+      } else {
+         // Nada chegou do MEM: o WB fica vazio em vez de repetir a última instrução
+         this.pipelineStages.WB = null;
+      }
+   }
+
+   /**
+    * Trata uma exceção de forma precisa
+    *
+    * Chamado no estágio MEM, quando todas as instruções mais antigas já
+    * concluíram. Descarta as instruções mais novas (IF e ID), registra a
+    * causa no CP0 e desvia a execução para o tratador de exceções.
+    * O EPC e o bit BD do Cause só são atualizados fora do nível de exceção
+    * (Status.EXL = 0); no delay slot (delaySlot) o EPC aponta para o branch
+    * ou jump anterior, que é refeito pelo eret. Sem tratador carregado nada
+    * mais é buscado, e o programa termina com HaltReason.UNHANDLED_EXCEPTION
+    * quando o pipeline esvazia.
+    */
+   raiseException(exception, pc, delaySlot = false) {
+      debugLog(`Exceção ${ExceptionName[exception.code]} em PC ${pc}${delaySlot ? ' (delay slot)' : ''}`); // Debug log
+
+      const status = this.cp0[CP0Register.STATUS];
+      let cause = (this.cp0[CP0Register.CAUSE] & ~CAUSE_EXCCODE_MASK) | (exception.code << 2);
+      if (!(status & STATUS_EXL)) {
+         this.cp0[CP0Register.EPC] = (delaySlot ? pc - 4 : pc) >>> 0;
+         cause = delaySlot ? cause | CAUSE_BD : cause & ~CAUSE_BD;
+      }
+      this.cp0[CP0Register.CAUSE] = cause >>> 0;
+      if (exception.badVAddr !== undefined) {
+         this.cp0[CP0Register.BAD_VADDR] = exception.badVAddr >>> 0;
+      }
+      this.cp0[CP0Register.STATUS] = (status | STATUS_EXL) >>> 0;
+
+      // Descartar as instruções mais novas
+      if (this.pipelineStages.ID) this.stats.flushes++;
+      if (this.pipelineStages.IF) this.stats.flushes++;
+      this.pipelineStages.ID = null;
+      this.pipelineStages.IF = null;
+      this.stalled = false;
+      this.stallCause = null;
+      this.slotTarget = null;
+
+      this.PC = this.exceptionHandlerAddress;
+      const handled = this.instructionMemory.has(this.PC);
+      const details = {
+         code: exception.code,
+         epc: this.cp0[CP0Register.EPC],
+         badVAddr: exception.badVAddr === undefined ? null : exception.badVAddr >>> 0
+      };
+      if (!handled) {
+         debugLog('Nenhum tratador de exceção carregado; a execução para aqui'); // Debug log
+         this.unhandledException = details;
+      }
+      this.emit(SimulatorEvent.EXCEPTION, { cycle: this.cycle + 1, ...details, handled });
+   }
+
+   // Método para escrever em um registrador ($zero é fixo em 0)
+   // O valor é reduzido a um inteiro de 32 bits com sinal
+   writeRegister(index, value) {
+      if (index === Register.ZERO) {
+         debugLog('Escrita em $zero ignorada'); // Debug log
+         return;
+      }
+      this.registradores[index] = value | 0;
+   }
+
+   /**
+    * Verifica se um acesso à memória é válido
+    *
+    * O endereço precisa estar dentro de uma região mapeada e ser múltiplo do
+    * tamanho do acesso (4 para word, 2 para halfword). Retorna a região
+    * acessada. Lança MemoryAccessError.
+    */
+   checkMemoryAccess(address, size, isStore) {
+      const region = Number.isInteger(address) && this.memoria.find(r =>
+         address >= r.base && address + size <= r.base + r.bytes.length);
+      if (!region) {
+         throw new MemoryAccessError(`Endereço fora da memória: ${address}`, address, isStore);
+      }
+      if (address % size !== 0) {
+         throw new MemoryAccessError(`Endereço desalinhado para acesso de ${size} bytes: ${address}`, address, isStore);
+      }
+      return region;
+   }
+
+   /**
+    * Lê 1, 2 ou 4 bytes da memória
+    *
+    * Os bytes são combinados de acordo com a endianness configurada.
+    * Valores de 1 e 2 bytes são estendidos com sinal se signed for true,
+    * e com zeros caso contrário. Words são retornadas como inteiros de 32 bits com sinal.
+    */
+   readMemory(address, size, signed = true) {
+      const region = this.checkMemoryAccess(address, size, false);
+
+      let value = 0;
+      for (let i = 0; i < size; i++) {
+         const offset = this.endianness === Endianness.BIG ? i : size - 1 - i;
+         value = (value << 8) | region.bytes[address - region.base + offset];
+      }
+
+      if (size === 4) return value | 0;
+      const shift = 32 - size * 8;
+      return signed ? (value << shift) >> shift : value;
+   }
+
+   // Escreve os 1, 2 ou 4 bytes menos significativos de value na memória
+   writeMemory(address, size, value) {
+      const region = this.checkMemoryAccess(address, size, true);
+      if (this.history.isShared(region.bytes)) {
+         region.bytes = region.bytes.slice();  // A região antiga continua no histórico
+      }
+
+      for (let i = 0; i < size; i++) {
+         const offset = this.endianness === Endianness.BIG ? i : size - 1 - i;
+         region.bytes[address - region.base + offset] = (value >>> ((size - 1 - i) * 8)) & 0xFF;
       }
    }
 
    // Método para buscar uma instrução
    fetchInstruction(address) {
-      if (this.instructionCache.has(address)) {
-         return this.instructionCache.get(address);
+      // PC desalinhado: a busca gera uma exceção de endereço (AdEL)
+      if (address % 4 !== 0) {
+         const instr = new Instruction(InstructionType.INVALID, null);
+         instr.fetchException = { code: ExceptionCode.ADDRESS_LOAD, badVAddr: address };
+         return instr;
+      }
+      if (this.instructionMemory.has(address)) {
+         return this.instructionMemory.get(address);
       }
       return null;
    }
 
-   // Método para detectar hazards
+   // Método para detectar hazards estruturais no início do ciclo; retorna a
+   // StallCause do hazard ou false. Hazards de dados são tratados no ID
+   // (detectDataHazard e readOperandInID) e de controle na resolução dos branches
    detectHazards() {
-      return this.detectStructuralHazard() ||
-         this.detectDataHazard() ||
-         this.detectControlHazard();
+      return this.detectStructuralHazard();
    }
 
    /**
@@ -489,49 +3126,42 @@ class MIPSPipeline {
     *
     * 1. Hazard Estrutural:
     *    - Ocorre quando duas instruções tentam usar o mesmo recurso
-    *    - Exemplo: Duas instruções tentando acessar a memória no mesmo ciclo
+    *    - Exemplo: Duas instruções mul seguidas na unidade de multiplicação
     *    - Solução: Stall do pipeline até o recurso estar livre
     *    - Implementação:
-    *      * Verifica conflitos de acesso à memória
     *      * Verifica conflitos na unidade de multiplicação
+    *      * IF e MEM usam memórias (e caches) separadas de instruções e
+    *        dados, por isso a busca nunca disputa a memória com um load/store
     *      * Insere NOPs quando necessário
     *
     * 2. Hazard de Dados:
     *    - Ocorre quando uma instrução depende do resultado de outra
     *    - Exemplo: mul $s1, $s2, $s3 seguido de add $s4, $s1, $s5
     *    - Soluções:
-    *      * Forwarding (EX→EX e MEM→EX)
+    *      * Forwarding (EX→EX e MEM→EX), que pode ser desligado
     *      * Stall como fallback
-    *    - Implementação:
-    *      * Verifica dependências RAW (Read After Write)
-    *      * Implementa forwarding em dois níveis
-    *      * Insere stalls quando o forwarding não é possível
+    *    - Implementação (Patterson & Hennessy):
+    *      * Unidade de detecção no ID: stall de load-use a distância 1 ou,
+    *        sem forwarding, até o produtor passar pelo WB
+    *      * Unidade de forwarding no início do EX, inclusive do valor de loads
+    *        e do dado dos stores
+    *      * A distância 3 é resolvida pelo banco de registradores (escrita no
+    *        WB antes da leitura no ID)
     *
     * 3. Hazard de Controle:
     *    - Ocorre em instruções de branch e jump
-    *    - Exemplo: beq $s1, $s2, target ou j target
+    *    - Exemplo: beq/bne/blez/... $s1, $s2, target ou j target
     *    - Solução: Predição de branch dinâmica
     *    - Implementação:
-    *      * Preditor de branch de 2 bits
-    *      * Estados: Strongly/Weakly Taken/Not Taken
-    *      * Correção de predições incorretas
+    *      * O IF consulta o BTB e o preditor escolhido (PredictorType) e busca
+    *        no caminho previsto
+    *      * Contadores de 2 bits: Strongly/Weakly Taken/Not Taken
+    *      * Predição errada, detectada no ID, descarta a instrução buscada e
+    *        redireciona o PC (ver resolveControl)
     */
 
    // Detecção de hazard estrutural
    detectStructuralHazard() {
-      // Verificar conflito de acesso à memória
-      if (this.pipelineStages.MEM && this.pipelineStages.IF) {
-         const memInstruction = this.pipelineStages.MEM.instruction;
-         const ifInstruction = this.pipelineStages.IF;
-
-         // Conflito entre duas instruções de memória
-         if ((memInstruction.opcode === Opcode.LW || memInstruction.opcode === Opcode.SW) &&
-            (ifInstruction.opcode === Opcode.LW || ifInstruction.opcode === Opcode.SW)) {
-            console.log('Hazard estrutural: Conflito de acesso à memória');
-            return true;
-         }
-      }
-
       // Verificar conflito na unidade de multiplicação
       if (this.pipelineStages.EX && this.pipelineStages.ID) {
          const exInstruction = this.pipelineStages.EX.instruction;
@@ -539,451 +3169,1037 @@ class MIPSPipeline {
 
          // Conflito entre duas instruções MUL
          if (exInstruction.opcode === Opcode.MUL && idInstruction.opcode === Opcode.MUL) {
-            console.log('Hazard estrutural: Conflito na unidade de multiplicação');
-            return true;
+            debugLog('Hazard estrutural: Conflito na unidade de multiplicação');
+            return StallCause.STRUCTURAL_MUL;
          }
       }
 
       return false;
    }
 
-   // Detecção de hazard de dados
-   detectDataHazard() {
-      if (!this.pipelineStages.ID || !this.pipelineStages.EX) return false;
-
-      const idInstruction = this.pipelineStages.ID.instruction;
-      const exInstruction = this.pipelineStages.EX.instruction;
-
-      // Verificar dependência RAW (Read After Write)
-      if (exInstruction.type === InstructionType.R_TYPE) {
-         if (idInstruction.rs === exInstruction.rd || idInstruction.rt === exInstruction.rd) {
-            console.log('Hazard de dados: RAW dependência em registrador');
-            return true;
-         }
-      }
-
-      // Verificar dependência para instruções de load
-      if (exInstruction.opcode === Opcode.LW) {
-         if (idInstruction.rs === exInstruction.rt || idInstruction.rt === exInstruction.rt) {
-            console.log('Hazard de dados: RAW dependência após load');
-            return true;
+   /**
+    * Unidade de detecção de hazards de dados (Patterson & Hennessy)
+    *
+    * Consultada no ID para a instrução em decodificação, que recebe os
+    * operandos adiantados no início do EX. Produtores à frente:
+    * - distância 1 (latch EX): resultado de ALU é adiantado EX->EX; loads e
+    *   syscalls só têm o valor depois do MEM: um ciclo de stall (load-use)
+    * - distância 2 (latch MEM): resultado adiantado MEM->EX
+    * - distância 3: já escrito no banco de registradores pelo WB deste ciclo
+    * Sem forwarding, a instrução espera no ID até o produtor passar pelo WB.
+    * Retorna a StallCause do stall ou false.
+    */
+   detectDataHazard(instruction) {
+      const sources = getSourceRegisters(instruction);
+      const writesSource = latch => latch !== null && sources.includes(getDestinationRegister(latch.instruction));
+      const { EX, MEM } = this.pipelineStages;
+
+      if (this.forwardingEnabled) {
+         if (writesSource(EX) && isMemoryResultInstruction(EX.instruction)) {
+            debugLog('Hazard de dados: RAW dependência após load'); // Debug log
+            return StallCause.LOAD_USE;
          }
+         return false;
       }
 
-      return false;
-   }
-
-   // Detecção de hazard de controle
-   detectControlHazard() {
-      if (!this.pipelineStages.ID) return false;
-
-      const idInstruction = this.pipelineStages.ID.instruction;
-      return idInstruction.opcode === Opcode.BEQ || idInstruction.opcode === Opcode.J;
+      if (!writesSource(EX) && !writesSource(MEM)) return false;
+      debugLog('Hazard de dados: RAW dependência sem forwarding'); // Debug log
+      return this.dataStallCause(sources);
    }
 
    // Método para executar forwarding
    executeForwarding() {
-      if (!this.pipelineStages.ID || !this.pipelineStages.EX) return;
+      if (!this.pipelineStages.ID || !this.forwardingEnabled) return;
 
       const idInstruction = this.pipelineStages.ID.instruction;
-      const exInstruction = this.pipelineStages.EX.instruction;
+      const sourceFields = getSourceFields(idInstruction);
+      const forwarded = [];
 
-      // Forwarding EX -> EX
-      if (exInstruction.type === InstructionType.R_TYPE) {
-         if (idInstruction.rs === exInstruction.rd) {
-            console.log('Forwarding EX->EX: rs =', this.pipelineStages.EX.result);
-            this.pipelineStages.ID.rsValue = this.pipelineStages.EX.result;
-         }
-         if (idInstruction.rt === exInstruction.rd) {
-            console.log('Forwarding EX->EX: rt =', this.pipelineStages.EX.result);
-            this.pipelineStages.ID.rtValue = this.pipelineStages.EX.result;
+      // Forwarding EX -> EX (instrução mais recente tem prioridade)
+      if (this.pipelineStages.EX) {
+         const exInstruction = this.pipelineStages.EX.instruction;
+         const exDest = getDestinationRegister(exInstruction);
+         if (isALUInstruction(exInstruction) && exDest !== null) {
+            for (const field of sourceFields) {
+               if (idInstruction[field] === exDest) {
+                  debugLog(`Forwarding EX->EX: ${field} =`, this.pipelineStages.EX.result);
+                  this.pipelineStages.ID[`${field}Value`] = this.pipelineStages.EX.result;
+                  forwarded.push(field);
+                  this.recordForward(exDest,
+                     { seq: this.pipelineStages.EX.seq, stage: 'EX', cycle: this.cycle },
+                     { seq: this.pipelineStages.ID.seq, stage: 'EX', cycle: this.cycle + 1 });
+               }
+            }
          }
       }
 
-      // Forwarding MEM -> EX
+      // Forwarding MEM -> EX (resultado de ALU ou valor lido por load/syscall)
       if (this.pipelineStages.MEM) {
          const memInstruction = this.pipelineStages.MEM.instruction;
-         if (memInstruction.type === InstructionType.R_TYPE) {
-            if (idInstruction.rs === memInstruction.rd) {
-               console.log('Forwarding MEM->EX: rs =', this.pipelineStages.MEM.result);
-               this.pipelineStages.ID.rsValue = this.pipelineStages.MEM.result;
-            }
-            if (idInstruction.rt === memInstruction.rd) {
-               console.log('Forwarding MEM->EX: rt =', this.pipelineStages.MEM.result);
-               this.pipelineStages.ID.rtValue = this.pipelineStages.MEM.result;
+         const memDest = getDestinationRegister(memInstruction);
+         if ((isALUInstruction(memInstruction) || isMemoryResultInstruction(memInstruction)) && memDest !== null) {
+            for (const field of sourceFields) {
+               if (idInstruction[field] === memDest && !forwarded.includes(field)) {
+                  debugLog(`Forwarding MEM->EX: ${field} =`, this.pipelineStages.MEM.result);
+                  this.pipelineStages.ID[`${field}Value`] = this.pipelineStages.MEM.result;
+                  this.recordForward(memDest,
+                     { seq: this.pipelineStages.MEM.seq, stage: 'MEM', cycle: this.cycle },
+                     { seq: this.pipelineStages.ID.seq, stage: 'EX', cycle: this.cycle + 1 });
+               }
             }
          }
       }
    }
 
-   // Método para prever o resultado de um branch
-   predictBranch(address) {
-      if (!this.branchPredictor.has(address)) {
-         // Estado inicial: WEAKLY_NOT_TAKEN
-         this.branchPredictor.set(address, BranchState.WEAKLY_NOT_TAKEN);
+   /**
+    * Registra um forwarding no diagrama de tempo e emite SimulatorEvent.FORWARD
+    *
+    * from e to são { seq, stage, cycle }: a execução da instrução produtora
+    * (e o estágio/ciclo em que o valor ficou pronto) e a da consumidora
+    * (estágio/ciclo em que o valor é usado).
+    */
+   recordForward(register, from, to) {
+      this.stats.forwards[`${from.stage}->${to.stage}`]++;
+      const forward = { register, from, to };
+      this.timeline.addForward(forward);
+      this.emit(SimulatorEvent.FORWARD, forward);
+   }
+
+   // Contabiliza um branch condicional resolvido, no total e por endereço
+   recordBranchOutcome(address, predictedTaken, actualTaken) {
+      const branches = this.stats.branches;
+      branches.total++;
+      if (actualTaken) branches.taken++;
+      if (predictedTaken !== actualTaken) branches.mispredicted++;
+
+      if (!this.branchOutcomes.has(address)) {
+         this.branchOutcomes.set(address, { hits: 0, misses: 0 });
+      }
+      const outcome = this.branchOutcomes.get(address);
+      if (predictedTaken === actualTaken) {
+         outcome.hits++;
+      } else {
+         outcome.misses++;
       }
+   }
+
+   // Contadores de uma cache (a de dados por padrão), com a taxa de acerto
+   // (null sem acessos)
+   getCacheStatistics(cache = this.dataCache) {
+      const { reads, writes, hits, misses, writebacks } = cache.stats;
+      const accesses = reads + writes;
+      return { accesses, reads, writes, hits, misses, writebacks, hitRate: accesses > 0 ? hits / accesses : null };
+   }
+
+   /**
+    * Estatísticas de desempenho da execução até o ciclo atual
+    *
+    * stalls conta ciclos por StallCause, uma causa por ciclo (ver
+    * StallCausePriority), e por isso soma stallCycles; flushes conta as
+    * instruções descartadas por predição errada ou exceção, que não são
+    * ciclos de stall. forwards conta cada ForwardingPath usado. cpi, ipc e accuracy são null enquanto não há instruções concluídas,
+    * ciclos ou branches resolvidos, respectivamente.
+    */
+   getStatistics() {
+      const { stallCycles, stalls, flushes, forwards, branches } = this.stats;
+      return {
+         cycles: this.cycle,
+         retired: this.retiredCount,
+         cpi: this.retiredCount > 0 ? this.cycle / this.retiredCount : null,
+         ipc: this.cycle > 0 ? this.retiredCount / this.cycle : null,
+         stallCycles,
+         stalls: { ...stalls },
+         flushes,
+         forwards: { ...forwards },
+         branches: {
+            ...branches,
+            accuracy: branches.total > 0 ? (branches.total - branches.mispredicted) / branches.total : null
+         },
+         cache: this.dataCache ? this.getCacheStatistics() : null,
+         instructionCache: this.instructionCache ? this.getCacheStatistics(this.instructionCache) : null
+      };
+   }
 
-      const state = this.branchPredictor.get(address);
-      console.log(`Predição de branch em PC ${address}: ${this.getBranchStateName(state)}`);
-      return state >= BranchState.WEAKLY_TAKEN;
+   /**
+    * Troca o preditor de branch (PredictorType) e seus tamanhos
+    *
+    * options aceita tableSize e historyLength (ver PredictorDefaults). O novo
+    * preditor começa sem treino; o BTB é mantido. Lança Error para tipo ou
+    * tamanhos inválidos.
+    */
+   setPredictor(type, options = {}) {
+      const predictorOptions = { ...this.predictorOptions, ...options };
+      this.branchPredictor = createBranchPredictor(type, predictorOptions);
+      this.predictorType = type;
+      this.predictorOptions = predictorOptions;
    }
 
-   // Método para atualizar o preditor de branch
-   updateBranchPredictor(address, taken) {
-      if (!this.branchPredictor.has(address)) {
-         this.branchPredictor.set(address, BranchState.WEAKLY_NOT_TAKEN);
+   /**
+    * Liga a cache de dados com options (completadas com CacheDefaults e a
+    * configuração atual) ou a desliga com null. A nova cache começa vazia;
+    * lança Error para configuração inválida, mantendo a anterior.
+    */
+   setDataCache(options) {
+      if (options === null) {
+         this.dataCacheOptions = null;
+         this.dataCache = null;
+         this.cacheMissCycles = null;
+         return;
       }
+      const cacheOptions = { ...CacheDefaults, ...this.dataCacheOptions, ...options };
+      this.dataCache = createCache(cacheOptions);
+      this.dataCacheOptions = cacheOptions;
+      this.cacheMissCycles = null;
+   }
 
-      let state = this.branchPredictor.get(address);
+   /**
+    * Liga a cache de instruções com options (completadas com
+    * InstructionCacheDefaults e a configuração atual) ou a desliga com null,
+    * como setDataCache.
+    */
+   setInstructionCache(options) {
+      if (options === null) {
+         this.instructionCacheOptions = null;
+         this.instructionCache = null;
+         this.fetchMissCycles = null;
+         this.fetchMissAddress = null;
+         return;
+      }
+      const cacheOptions = { ...InstructionCacheDefaults, ...this.instructionCacheOptions, ...options };
+      this.instructionCache = createInstructionCache(cacheOptions);
+      this.instructionCacheOptions = cacheOptions;
+      this.fetchMissCycles = null;
+      this.fetchMissAddress = null;
+   }
 
-      // Atualizar estado baseado no resultado real
-      if (taken) {
-         // Incrementa estado (máximo STRONGLY_TAKEN)
-         state = Math.min(state + 1, BranchState.STRONGLY_TAKEN);
-      } else {
-         // Decrementa estado (mínimo STRONGLY_NOT_TAKEN)
-         state = Math.max(state - 1, BranchState.STRONGLY_NOT_TAKEN);
+   // Próximo endereço de busca: o alvo do BTB quando o preditor aposta no desvio
+   predictNextPC(address, instruction) {
+      const fallThrough = this.nextSequentialPC(instruction, address);
+      if (this.predictorType === PredictorType.NOT_TAKEN || !this.branchTargetBuffer.has(address)) {
+         return fallThrough;
+      }
+      // Jumps no BTB são sempre tomados; branches condicionais consultam o preditor
+      const target = this.branchTargetBuffer.get(address);
+      if (isBranchInstruction(instruction) && !this.branchPredictor.predict(address, target)) {
+         debugLog(`Predição de branch em PC ${address}: não tomado`); // Debug log
+         return fallThrough;
       }
+      debugLog(`Predição em PC ${address}: desvio para ${target}`); // Debug log
+      return target;
+   }
 
-      this.branchPredictor.set(address, state);
-      console.log(`Atualizando preditor em PC ${address}: ${this.getBranchStateName(state)}`);
+   getBranchStateName(state) {
+      switch (state) {
+         case BranchState.STRONGLY_TAKEN:
+            return 'Strongly Taken';
+         case BranchState.WEAKLY_TAKEN:
+            return 'Weakly Taken';
+         case BranchState.WEAKLY_NOT_TAKEN:
+            return 'Weakly Not Taken';
+         case BranchState.STRONGLY_NOT_TAKEN:
+            return 'Strongly Not Taken';
+         default:
+            return 'Unknown';
+      }
    }
 
-   // Método para atualizar a interface
-   updateUI() {
-      console.log('Atualizando interface...'); // Debug log
+   // Método para carregar um programa (e, opcionalmente, o tratador de exceções)
+   //
+   // Retorna os diagnósticos da montagem ({ source, line, column, severity, message });
+   // um programa com erros é carregado para exibição, mas não é executado.
+   loadProgram(programText, handlerText = '') {
+      this.instructionMemory.clear();
+      this.PC = TEXT_BASE_ADDRESS;
+      this.diagnostics = [];
+
+      // Labels do texto guardam o índice da instrução; labels de dados, o endereço em bytes
+      const labels = new Map();
+      const dataLabels = new Map();
+
+      // Cada linha guarda sua origem (programa ou tratador) e número, para os diagnósticos
+      this.sourceLines = {
+         program: programText.split('\n'),
+         handler: handlerText ? handlerText.split('\n') : []
+      };
+      const lines = this.sourceLines.program.map((text, i) => ({ source: 'program', number: i + 1, text }));
+
+      // O tratador de exceções é montado no segmento .ktext (EXCEPTION_HANDLER_ADDRESS)
+      if (handlerText) {
+         lines.push({ source: 'handler', number: 0, text: '.ktext' },
+            ...this.sourceLines.handler.map((text, i) => ({ source: 'handler', number: i + 1, text })));
+      }
+
+      // Primeira passagem: identificar labels
+      this.assemble(lines, labels, dataLabels, true);
+
+      // Debugar todos os labels encontrados
+      debugLog("Labels encontrados:", Array.from(labels.entries()));
+      debugLog("Labels de dados encontrados:", Array.from(dataLabels.entries()));
 
-      // Atualizar pipeline
-      this.updatePipelineDisplay();
+      // Índice de instrução -> nome do label, usado pelo disassembler
+      this.symbols = new Map();
+      for (const [label, index] of labels) {
+         if (!this.symbols.has(index)) this.symbols.set(index, label);
+      }
 
-      // Atualizar registradores
-      this.updateRegistersDisplay();
+      // Endereço de cada label, usado pelos breakpoints e watchpoints
+      this.labelAddresses = new Map(dataLabels);
+      for (const [label, index] of labels) {
+         this.labelAddresses.set(label, index * 4);
+      }
 
-      // Atualizar memória
-      this.updateMemoryDisplay();
+      // Segunda passagem: carregar instruções e dados
+      this.assemble(lines, labels, dataLabels, false);
 
-      // Atualizar preditor de branch
-      this.updateBranchPredictorDisplay();
+      // Debugar todas as instruções carregadas
+      debugLog("Instruções carregadas:");
+      for (const [addr, instr] of this.instructionMemory.entries()) {
+         debugLog(`[${addr}]: ${instr.toString()}`);
+      }
 
-      console.log('Interface atualizada'); // Debug log
+      if (this.instructionMemory.size === 0) {
+         this.diagnostics.push({
+            source: 'program', line: null, column: null,
+            severity: DiagnosticSeverity.ERROR, message: 'nenhuma instrução encontrada'
+         });
+      }
+      if (this.hasAssemblyErrors()) {
+         this.emit(SimulatorEvent.LOAD_ERROR, this.diagnostics);
+      }
+      return this.diagnostics;
    }
 
-   // Métodos auxiliares para atualização da UI
-   updatePipelineDisplay() {
-      console.log('Atualizando display do pipeline...'); // Debug log
+   /**
+    * Percorre o código fonte uma vez (usado nas duas passagens do montador)
+    *
+    * Mantém um endereço corrente por segmento (.text, .data e .ktext). Na
+    * primeira passagem apenas registra os labels; na segunda monta as
+    * instruções no cache e escreve os dados na memória. Um label fica
+    * pendente até o próximo item, para receber o endereço já alinhado.
+    */
+   assemble(lines, labels, dataLabels, firstPass) {
+      const address = {
+         [Segment.TEXT]: TEXT_BASE_ADDRESS,
+         [Segment.DATA]: DATA_BASE_ADDRESS,
+         [Segment.KTEXT]: this.exceptionHandlerAddress
+      };
+      let segment = Segment.TEXT;
+      let pendingLabels = [];
+      const definedLabels = new Set();
+
+      const defineLabels = () => {
+         for (const label of firstPass ? pendingLabels : []) {
+            if (segment === Segment.DATA) {
+               dataLabels.set(label, address[segment]);
+               debugLog(`Label de dados "${label}" encontrado no endereço ${address[segment]}`);
+            } else {
+               labels.set(label, address[segment] / 4); // Converter para índice de instrução
+               debugLog(`Label "${label}" encontrado no endereço ${address[segment]} (instrução ${address[segment] / 4})`);
+            }
+         }
+         pendingLabels = [];
+      };
 
-      // Atualizar cada estágio do pipeline
-      for (const estagio in this.pipelineStages) {
-         const stageElement = document.getElementById(`${estagio.toLowerCase()}-estagio`);
-         if (!stageElement) {
-            console.error(`Elemento ${estagio.toLowerCase()}-estagio não encontrado`); // Debug log
-            continue;
+      for (const line of lines) {
+         // Diagnósticos só são registrados na segunda passagem
+         this.assemblingLine = firstPass ? null : line;
+         let trimmedLine = stripComment(line.text).trim();
+
+         // Verificar se a linha contém um label
+         const labelMatch = trimmedLine.match(/^(\w+):\s*(.*)$/);
+         if (labelMatch) {
+            if (definedLabels.has(labelMatch[1])) {
+               this.reportDiagnostic(DiagnosticSeverity.ERROR, `label duplicado ${labelMatch[1]}`, labelMatch[1]);
+            }
+            definedLabels.add(labelMatch[1]);
+            pendingLabels.push(labelMatch[1]);
+            trimmedLine = labelMatch[2].trim();
          }
+         if (!trimmedLine) continue;
+
+         if (trimmedLine.startsWith('.')) {
+            const [, name, args] = trimmedLine.match(/^(\.\w+)\s*(.*)$/) || [null, trimmedLine, ''];
+            const directive = name.toLowerCase();
+
+            if (SegmentDirectives.hasOwnProperty(directive)) {
+               // Labels antes da troca pertencem ao segmento anterior
+               defineLabels();
+               segment = SegmentDirectives[directive];
+               if (args) {
+                  const base = this.parseImmediate(args);
+                  if (base !== null) address[segment] = base >>> 0;
+               }
+               continue;
+            }
 
-         const instructionBox = stageElement.querySelector('.caixa-instrucao');
-         if (!instructionBox) {
-            console.error(`Elemento .caixa-instrucao não encontrado em ${estagio.toLowerCase()}-estagio`); // Debug log
+            // .globl não tem efeito: não há ligação entre módulos
+            if (directive === '.globl') continue;
+
+            if (segment !== Segment.DATA && DataDirectives.includes(directive)) {
+               this.reportDiagnostic(DiagnosticSeverity.ERROR, `diretiva ${directive} fora do segmento .data`, name);
+               continue;
+            }
+            const data = this.parseDataDirective(directive, args.trim(),
+               firstPass ? null : labels, firstPass ? null : dataLabels);
+            if (!data) {
+               this.reportDiagnostic(DiagnosticSeverity.ERROR, `argumentos inválidos para ${directive}`, args || name);
+               continue;
+            }
+
+            address[segment] = alignAddress(address[segment], data.alignment);
+            defineLabels();
+            for (const { size, value } of data.items) {
+               if (!firstPass) {
+                  try {
+                     this.writeMemory(address[segment], size, value);
+                  } catch (err) {
+                     this.reportDiagnostic(DiagnosticSeverity.ERROR, `dado fora da memória: ${err.message}`, name);
+                  }
+               }
+               address[segment] += size;
+            }
             continue;
          }
 
-         const stageData = this.pipelineStages[estagio];
-
-         if (stageData) {
-            // Pode ser o próprio objeto Instruction ou um objeto { instruction: Instruction }
-            const instruction = stageData.instruction || stageData;
-            if (instruction && typeof instruction.toString === 'function') {
-               instructionBox.textContent = instruction.toString();
+         if (segment === Segment.DATA) {
+            this.reportDiagnostic(DiagnosticSeverity.ERROR, 'instrução no segmento .data (falta .text?)');
+            continue;
+         }
 
-               // Adicionar classe de hazard se necessário
-               if (this.detectHazards()) {
-                  instructionBox.classList.add('hazard');
-               } else {
-                  instructionBox.classList.remove('hazard');
+         // Pseudo-instruções ocupam o tamanho da sua expansão
+         defineLabels();
+         const expandedLines = firstPass ?
+            this.expandPseudoInstruction(trimmedLine, null, null) :
+            this.expandPseudoInstruction(trimmedLine, labels, dataLabels);
+         for (const expandedLine of expandedLines) {
+            if (!firstPass) {
+               // Linhas inválidas ocupam seu endereço, para não deslocar os labels seguintes
+               let instr = this.parseInstruction(expandedLine, labels) ||
+                  this.createInvalidInstruction(expandedLine);
+               try {
+                  instr.word = encodeInstruction(instr, address[segment]);
+               } catch (err) {
+                  // Destino que não cabe no campo: a coluna aponta para o último operando
+                  const target = expandedLine.split('#')[0].trim().split(/[\s,]+/).pop();
+                  this.reportDiagnostic(DiagnosticSeverity.ERROR, err.message, target);
+                  instr = this.createInvalidInstruction(expandedLine);
+                  instr.word = null;
                }
-            } else {
-               instructionBox.textContent = '[instrução inválida]';
+               this.instructionMemory.set(address[segment], instr);
+               debugLog(`Instrução em ${address[segment]}: ${instr.toString()}`);
             }
-         } else {
-            instructionBox.textContent = '';
-            instructionBox.classList.remove('hazard');
+            address[segment] += 4;
          }
       }
-   }
 
-   updateRegistersDisplay() {
-      console.log('Atualizando display dos registradores...'); // Debug log
+      // Labels no fim do código apontam para o fim do segmento corrente
+      defineLabels();
+      this.assemblingLine = null;
+   }
 
-      const registersList = document.getElementById('registradores-list');
-      if (!registersList) {
-         console.error('Elemento registradores-list não encontrado'); // Debug log
-         return;
+   /**
+    * Interpreta uma diretiva de dados
+    *
+    * Retorna o alinhamento exigido e a lista de valores a escrever ({ size, value }),
+    * ou null se a diretiva for inválida. .word e .half são alinhados
+    * automaticamente ao seu tamanho. Na primeira passagem (labels === null)
+    * labels em .word valem 0, pois só o tamanho importa.
+    */
+   parseDataDirective(directive, args, labels, dataLabels) {
+      if (DataDirectiveSize.hasOwnProperty(directive)) {
+         const size = DataDirectiveSize[directive];
+         if (!args) return null;
+         const items = [];
+         for (const arg of args.split(',').map(a => a.trim())) {
+            // Um valor inválido ainda ocupa seu espaço, para as duas passagens concordarem
+            const value = this.resolveAddress(arg, labels, dataLabels);
+            const valid = value !== null && value >= -(2 ** (size * 8 - 1)) && value <= 2 ** (size * 8) - 1;
+            if (!valid && value !== null) {
+               this.reportDiagnostic(DiagnosticSeverity.ERROR, `valor fora do intervalo de ${directive}: ${arg}`, arg);
+            }
+            items.push({ size, value: valid ? value : 0 });
+         }
+         return { alignment: size, items };
       }
 
-      registersList.innerHTML = '';
-
-      // Mostrar registradores $s0-$s31 com valores não-zero
-      for (let i = 0; i <= 31; i++) {
-         if (this.registradores[i] !== 0) {  // Exibir apenas registradores com valores
-            const registerDiv = document.createElement('div');
-            registerDiv.className = 'registrador-item';
-            registerDiv.textContent = `${RegisterName[i]}: ${this.registradores[i]}`;
-            console.log(`Registrador ${RegisterName[i]}: ${this.registradores[i]}`); // Debug log
-            registersList.appendChild(registerDiv);
+      switch (directive) {
+         case '.space': {
+            const count = this.parseImmediate(args);
+            if (count === null || count < 0) return null;
+            return { alignment: 1, items: new Array(count).fill({ size: 1, value: 0 }) };
+         }
+         case '.ascii':
+         case '.asciiz': {
+            const bytes = parseStringLiteral(args);
+            if (bytes === null) return null;
+            if (directive === '.asciiz') bytes.push(0);
+            return { alignment: 1, items: bytes.map(value => ({ size: 1, value })) };
+         }
+         case '.align': {
+            const power = this.parseImmediate(args);
+            if (power === null || power < 0 || power > 12) return null;
+            return { alignment: 2 ** power, items: [] };
          }
+         default:
+            this.reportDiagnostic(DiagnosticSeverity.ERROR, `diretiva desconhecida ${directive}`, directive);
+            return null;
       }
    }
 
-   updateMemoryDisplay() {
-      console.log('Atualizando display da memória...'); // Debug log
-
-      const memoryList = document.getElementById('memoria-list');
-      if (!memoryList) {
-         console.error('Elemento memoria-list não encontrado'); // Debug log
-         return;
+   // Endereço em bytes de um label (texto ou dados) ou de um número; null se desconhecido
+   resolveAddress(str, labels, dataLabels) {
+      if (dataLabels && dataLabels.has(str)) return dataLabels.get(str);
+      if (labels && labels.has(str)) return labels.get(str) * 4;
+      if (/^[A-Za-z_]\w*$/.test(str)) {
+         this.reportUndefinedLabel(str);
+         return null;
       }
+      return this.parseImmediate(str);
+   }
 
-      memoryList.innerHTML = '';
+   /**
+    * Carrega um programa já montado, dado como lista de palavras de 32 bits
+    *
+    * As palavras podem ser números ou strings hexadecimais ("0x2008000a").
+    * Palavras que não correspondem a nenhuma instrução suportada ficam na
+    * memória como instruções inválidas e geram exceção RI ao chegar em MEM.
+    */
+   loadMachineCode(words, handlerWords = []) {
+      this.instructionMemory.clear();
+      this.PC = TEXT_BASE_ADDRESS;
+      this.symbols = new Map();
+      this.labelAddresses = new Map();
+      this.diagnostics = [];
+      this.sourceLines = { program: words.map(String), handler: handlerWords.map(String) };
+
+      const segments = [
+         { source: 'program', base: TEXT_BASE_ADDRESS, words },
+         { source: 'handler', base: this.exceptionHandlerAddress, words: handlerWords }
+      ];
+      for (const { source, base, words } of segments) {
+         let address = base;
+         words.forEach((value, i) => {
+            this.assemblingLine = { source, number: i + 1, text: String(value) };
+            const word = typeof value !== 'string' ? value :
+               /^(0x[0-9a-f]+|\d+)$/i.test(value.trim()) ? Number(value.trim()) : null;
+            let instr = null;
+            if (word === null || !Number.isInteger(word) || word < 0 || word > 0xFFFFFFFF) {
+               this.reportDiagnostic(DiagnosticSeverity.ERROR, `palavra inválida ${value}`);
+               instr = this.createInvalidInstruction(String(value));
+            } else {
+               instr = decodeInstruction(word, address, this.symbols);
+               if (!instr) {
+                  this.reportDiagnostic(DiagnosticSeverity.WARNING,
+                     `${formatWord(word)} não é uma instrução suportada (gera exceção RI)`);
+                  instr = this.createInvalidInstruction(formatWord(word));
+               }
+               instr.word = word >>> 0;
+            }
+            this.instructionMemory.set(address, instr);
+            debugLog(`Instrução em ${address}: ${formatWord(instr.word || 0)} ${instr.toString()}`);
+            address += 4;
+         });
+      }
+      this.assemblingLine = null;
 
-      // Mostrar apenas endereços de memória com valores
-      for (let i = 0; i < this.memoria.length; i++) {
-         if (this.memoria[i] !== 0) {
-            const enderecoBytes = i * 4; // Converter índice de array para endereço em bytes
-            const memoryDiv = document.createElement('div');
-            memoryDiv.className = 'memoria-item';
-            memoryDiv.textContent = `[${enderecoBytes}]: ${this.memoria[i]}`;
-            console.log(`Memória[${enderecoBytes}]: ${this.memoria[i]}`); // Debug log
-            memoryList.appendChild(memoryDiv);
-         }
+      if (this.instructionMemory.size === 0) {
+         this.diagnostics.push({
+            source: 'program', line: null, column: null,
+            severity: DiagnosticSeverity.ERROR, message: 'nenhuma instrução encontrada'
+         });
+      }
+      if (this.hasAssemblyErrors()) {
+         this.emit(SimulatorEvent.LOAD_ERROR, this.diagnostics);
       }
+      return this.diagnostics;
    }
 
-   updateBranchPredictorDisplay() {
-      console.log('Atualizando display do preditor de branch...'); // Debug log
+   // Retorna o programa carregado como palavras de 32 bits, em ordem de endereço
+   getMachineCode() {
+      return Array.from(this.instructionMemory.entries())
+         .sort(([a], [b]) => a - b)
+         .map(([address, instr]) => ({ address, word: instr.word, text: instr.toString() }));
+   }
 
-      const branchContainer = document.querySelector('.predicao-branch div');
-      if (!branchContainer) {
-         console.error('Elemento predicao-branch div não encontrado'); // Debug log
-         return;
+   // Desmonta uma palavra usando os labels do programa carregado
+   disassemble(word, address) {
+      const instr = decodeInstruction(word, address, this.symbols);
+      return instr ? instr.toString() : `[instrução inválida] ${formatWord(word)}`;
+   }
+
+   /**
+    * Carrega um arquivo de programa JSON já interpretado
+    *
+    * Campos: "program" (linhas assembly) ou "machineCode" (palavras), com os
+    * opcionais "handler"/"handlerMachineCode", "registradores" (ex: {"$t0": 5}),
+    * "memoria" (words por endereço de byte, ex: {"100": 42}), "endianness",
+    * "input" (linhas lidas por read_int/read_string, ex: ["42", "texto"]) e
+    * "predictor" (PredictorType, ex: "gshare", ou objeto como
+    * {"type": "gshare", "tableSize": 64, "historyLength": 6}), "delaySlot"
+    * (true/false), "branchResolution" ("ID", "EX" ou "MEM"), "cache" (true,
+    * false ou configuração como {"size": 512, "associativity": 4}, ver
+    * CacheDefaults) e "instructionCache" (da mesma forma, ver
+    * InstructionCacheDefaults).
+    * Reinicia o pipeline antes de carregar e retorna os diagnósticos; registradores
+    * desconhecidos, endereços, endianness, preditores, estágios e caches inválidos
+    * viram avisos.
+    */
+   loadProgramData(data) {
+      if (!data.program && !data.machineCode) {
+         throw new Error("Arquivo inválido. Campo 'program' ou 'machineCode' é obrigatório.");
       }
 
-      branchContainer.innerHTML = '';
+      // Endianness opcional ("big" ou "little"), aplicada antes de carregar a
+      // memória; outro valor vira aviso e a atual é mantida
+      const validEndianness = data.endianness === undefined ||
+         Object.values(Endianness).includes(data.endianness);
+      if (data.endianness !== undefined && validEndianness) {
+         this.endianness = data.endianness;
+      }
 
-      for (const [address, state] of this.branchPredictor) {
-         const stateDiv = document.createElement('div');
-         stateDiv.className = 'predicao-estado';
-         stateDiv.textContent = `PC ${address}: ${this.getBranchStateName(state)}`;
-         console.log(`Preditor de branch em PC ${address}: ${this.getBranchStateName(state)}`); // Debug log
-         branchContainer.appendChild(stateDiv);
+      this.reset();
+      if (data.machineCode) {
+         this.loadMachineCode(data.machineCode, data.handlerMachineCode || []);
+      } else {
+         this.loadProgram(data.program.join('\n'), (data.handler || []).join('\n'));
       }
-   }
 
-   getBranchStateName(state) {
-      switch (state) {
-         case BranchState.STRONGLY_TAKEN:
-            return 'Strongly Taken';
-         case BranchState.WEAKLY_TAKEN:
-            return 'Weakly Taken';
-         case BranchState.WEAKLY_NOT_TAKEN:
-            return 'Weakly Not Taken';
-         case BranchState.STRONGLY_NOT_TAKEN:
-            return 'Strongly Not Taken';
-         default:
-            return 'Unknown';
+      const warn = (source, message) => this.diagnostics.push({
+         source, line: null, column: null, severity: DiagnosticSeverity.WARNING, message
+      });
+      if (!validEndianness) {
+         warn('endianness', `endianness inválida ${data.endianness} (use big ou little)`);
       }
-   }
 
-   // Método para carregar um programa
-   loadProgram(programText) {
-      this.instructionCache.clear();
-      this.PC = 0;
+      // Carrega registradores
+      for (const reg in data.registradores || {}) {
+         const index = this.parseRegister(reg);
+         if (index !== null) {
+            this.writeRegister(index, data.registradores[reg]);
+            debugLog(`Registrador ${reg} = ${data.registradores[reg]}`); // Debug log
+         } else {
+            warn('registradores', `registrador desconhecido ${reg}`);
+         }
+      }
 
-      // Mapa de labels para endereços de memória
-      const labels = new Map();
+      // Carrega memória (words em endereços de byte)
+      for (const addr in data.memoria || {}) {
+         const index = parseInt(addr);
+         if (isNaN(index)) {
+            warn('memoria', `endereço inválido ${addr}`);
+            continue;
+         }
+         try {
+            this.writeMemory(index, 4, data.memoria[addr]);
+            debugLog(`Memória[${index}] = ${data.memoria[addr]}`); // Debug log
+         } catch (err) {
+            warn('memoria', err.message);
+         }
+      }
 
-      // Primeira passagem: identificar labels
-      const lines = programText.split('\n');
-      let address = 0;
-      for (const line of lines) {
-         let trimmedLine = line.trim();
+      // Preditor de branch opcional; sem o campo, o preditor atual é mantido
+      if (data.predictor) {
+         const { type = this.predictorType, ...options } = typeof data.predictor === 'string' ? { type: data.predictor } : data.predictor;
+         try {
+            this.setPredictor(type, options);
+         } catch (err) {
+            warn('predictor', err.message);
+         }
+      }
 
-         // Verificar se a linha contém um label
-         const labelMatch = trimmedLine.match(/^(\w+):\s*(.*)$/);
-         if (labelMatch) {
-            const label = labelMatch[1];
-            trimmedLine = labelMatch[2].trim();
-            labels.set(label, address / 4); // Converter para índice de instrução
-            console.log(`Label "${label}" encontrado no endereço ${address} (instrução ${address / 4})`);
+      // Cache de dados opcional: true usa a configuração padrão, false a desliga
+      if (data.cache !== undefined) {
+         try {
+            if (data.cache === false) {
+               this.setDataCache(null);
+            } else {
+               this.setDataCache(data.cache === true ? {} : data.cache);
+            }
+         } catch (err) {
+            warn('cache', err.message);
+         }
+      }
+      if (data.instructionCache !== undefined) {
+         try {
+            if (data.instructionCache === false) {
+               this.setInstructionCache(null);
+            } else {
+               this.setInstructionCache(data.instructionCache === true ? {} : data.instructionCache);
+            }
+         } catch (err) {
+            warn('instructionCache', err.message);
          }
+      }
 
-         // Apenas incrementar o contador se a linha contiver uma instrução
-         if (trimmedLine && !trimmedLine.startsWith('#')) {
-            address += 4;
+      // Delay slot e estágio de resolução dos branches, opcionais como o preditor
+      if (data.delaySlot !== undefined) {
+         this.delaySlotEnabled = Boolean(data.delaySlot);
+      }
+      if (data.branchResolution !== undefined) {
+         if (Object.values(BranchResolutionStage).includes(data.branchResolution)) {
+            this.branchResolutionStage = data.branchResolution;
+         } else {
+            warn('branchResolution', `estágio de resolução inválido ${data.branchResolution}`);
          }
       }
 
-      // Debugar todos os labels encontrados
-      console.log("Labels encontrados:", Array.from(labels.entries()));
-
-      // Segunda passagem: carregar instruções
-      address = 0;
-      for (const line of lines) {
-         let trimmedLine = line.trim();
+      // Entrada pré-definida dos syscalls, para execuções reproduzíveis
+      this.provideInput(...(data.input || []));
 
-         // Remover o label da linha
-         const labelMatch = trimmedLine.match(/^(\w+):\s*(.*)$/);
-         if (labelMatch) {
-            trimmedLine = labelMatch[2].trim();
-         }
+      return this.diagnostics;
+   }
 
-         if (trimmedLine && !trimmedLine.startsWith('#')) {
-            const instr = this.parseInstruction(trimmedLine, labels);
-            if (instr) {
-               this.instructionCache.set(address, instr);
-               console.log(`Instrução em ${address}: ${instr.toString()}`);
+   // Words não nulas da memória: [{ region, address, value }] em ordem de endereço
+   getMemoryWords() {
+      const words = [];
+      for (const region of this.memoria) {
+         for (let offset = 0; offset < region.bytes.length; offset += 4) {
+            const value = this.readMemory(region.base + offset, 4);
+            if (value !== 0) {
+               words.push({ region: region.name, address: region.base + offset, value });
             }
-            address += 4;
          }
       }
-
-      // Debugar todas as instruções carregadas
-      console.log("Instruções carregadas:");
-      for (const [addr, instr] of this.instructionCache.entries()) {
-         console.log(`[${addr}]: ${instr.toString()}`);
-      }
-
-      if (this.instructionCache.size === 0) {
-         alert('Nenhuma instrução válida encontrada. Verifique o formato do programa.');
-      }
-      this.updateUI();
+      return words;
    }
 
    parseRegister(str) {
-      str = str.replace(',', '').trim();
+      str = str.replace(',', '').trim().toLowerCase();
 
-      // Verificar se é um registrador simbólico do tipo $sX
+      // Verificar se é um nome ABI ($t0, $sp, ...) ou numérico ($0-$31)
       if (RegisterAlias.hasOwnProperty(str)) {
          return RegisterAlias[str];
       }
 
-      // Se não for um registrador simbólico válido, retornar null
-      console.log(`Registrador inválido: ${str}. Apenas registradores $s0-$s31 são suportados.`);
+      // Se não for um registrador válido, retornar null
+      this.reportDiagnostic(DiagnosticSeverity.ERROR, `registrador desconhecido ${str}`, str);
       return null;
    }
 
+   // Converte um imediato decimal, negativo ou hexadecimal (ex: 10, -4, 0xFF)
+   parseImmediate(str) {
+      str = str.trim().toLowerCase();
+      const match = str.match(/^(-?)(0x[0-9a-f]+|\d+)$/);
+      if (!match) {
+         this.reportDiagnostic(DiagnosticSeverity.ERROR, `imediato inválido ${str}`, str);
+         return null;
+      }
+      const value = parseInt(match[2]);
+      return match[1] === '-' ? -value : value;
+   }
+
    parseRTypeInstruction(parts) {
-      console.log('Parsing R-type:', parts);
-      if (parts.length !== 4) return null;
+      debugLog('Parsing R-type:', parts);
+      const opcode = parts[0].toLowerCase();
+
+      // Escrita em HI/LO: op $rs, $rt
+      if (HiLoWriteOpcodes.includes(opcode)) {
+         if (parts.length !== 3) return this.operandCountError(opcode);
+         const rs = this.parseRegister(parts[1]);
+         const rt = this.parseRegister(parts[2]);
+         if (rs === null || rt === null) return null;
+         return new Instruction(InstructionType.R_TYPE, opcode, rs, rt);
+      }
+
+      // Leitura de HI/LO: op $rd
+      if (HiLoReadOpcodes.includes(opcode)) {
+         if (parts.length !== 2) return this.operandCountError(opcode);
+         const rd = this.parseRegister(parts[1]);
+         if (rd === null) return null;
+         return new Instruction(InstructionType.R_TYPE, opcode, Register.ZERO, Register.ZERO, rd);
+      }
+
+      // Jumps com alvo em registrador: jr $rs | jalr $rs | jalr $rd, $rs
+      if (opcode === Opcode.JR || opcode === Opcode.JALR) {
+         if (parts.length !== 2 && !(opcode === Opcode.JALR && parts.length === 3)) {
+            return this.operandCountError(opcode);
+         }
+         const rs = this.parseRegister(parts[parts.length - 1]);
+         const rd = opcode === Opcode.JR ? Register.ZERO :
+            parts.length === 3 ? this.parseRegister(parts[1]) : Register.RA;
+         if (rs === null || rd === null) return null;
+         return new Instruction(InstructionType.R_TYPE, opcode, rs, Register.ZERO, rd);
+      }
+
+      if (parts.length !== 4) return this.operandCountError(opcode);
       const rd = this.parseRegister(parts[1]);
+
+      // Deslocamento por constante: op $rd, $rt, shamt
+      if (ShiftImmediateOpcodes.includes(opcode)) {
+         const rt = this.parseRegister(parts[2]);
+         const shamt = this.parseImmediate(parts[3]);
+         if ([rd, rt, shamt].some(v => v === null)) return null;
+         if (shamt < 0 || shamt > 31) {
+            this.reportDiagnostic(DiagnosticSeverity.ERROR, `deslocamento fora do intervalo 0-31: ${shamt}`, parts[3]);
+            return null;
+         }
+         return new Instruction(InstructionType.R_TYPE, opcode, Register.ZERO, rt, rd, 0, 0, 0, shamt);
+      }
+
+      // Deslocamento variável: op $rd, $rt, $rs
+      if (ShiftVariableOpcodes.includes(opcode)) {
+         const rt = this.parseRegister(parts[2]);
+         const rs = this.parseRegister(parts[3]);
+         if ([rd, rs, rt].some(v => v === null)) return null;
+         return new Instruction(InstructionType.R_TYPE, opcode, rs, rt, rd);
+      }
+
       const rs = this.parseRegister(parts[2]);
       const rt = this.parseRegister(parts[3]);
       if ([rd, rs, rt].some(v => v === null)) return null;
-      return {
-         type: InstructionType.R_TYPE,
-         opcode: parts[0],
-         rs,
-         rt,
-         rd,
-         toString() {
-            return `${this.opcode} ${RegisterName[this.rd]}, ${RegisterName[this.rs]}, ${RegisterName[this.rt]}`;
-         }
-      };
+      return new Instruction(InstructionType.R_TYPE, opcode, rs, rt, rd);
    }
 
    parseITypeInstruction(parts, labels) {
-      console.log('Parsing I-type:', parts);
+      debugLog('Parsing I-type:', parts);
       const opcode = parts[0].toLowerCase();
 
-      if (opcode === 'beq') {
-         if (parts.length !== 4) return null;
+      if (BranchOpcodes.includes(opcode)) {
+         // beq/bne comparam dois registradores; os demais comparam $rs com zero
+         const comparesWithZero = BranchZeroOpcodes.includes(opcode);
+         if (parts.length !== (comparesWithZero ? 3 : 4)) return this.operandCountError(opcode);
          const rs = this.parseRegister(parts[1]);
-         const rt = this.parseRegister(parts[2]);
+         const rt = comparesWithZero ? Register.ZERO : this.parseRegister(parts[2]);
+         const targetPart = parts[parts.length - 1];
          let offset;
 
-         // Verificar se o offset é um label
-         if (labels && labels.has(parts[3])) {
-            offset = labels.get(parts[3]);
-            console.log(`Label "${parts[3]}" resolvido para offset ${offset} (PC relativo)`);
+         // O destino é um label ou um endereço absoluto em bytes, como em
+         // toString(); offset guarda o índice absoluto da instrução de destino
+         // (o alcance de 16 bits é conferido na codificação)
+         if ([rs, rt].some(v => v === null)) return null;
+         if (labels && labels.has(targetPart)) {
+            offset = labels.get(targetPart);
+            debugLog(`Label "${targetPart}" resolvido para offset ${offset} (PC relativo)`);
+         } else if (/^[A-Za-z_]\w*$/.test(targetPart)) {
+            this.reportUndefinedLabel(targetPart);
+            return null;
          } else {
-            offset = parseInt(parts[3]);
+            offset = this.parseTargetAddress(targetPart, opcode);
+            if (offset === null) return null;
          }
 
-         if ([rs, rt].some(v => v === null) || isNaN(offset)) {
-            console.error(`Erro no parsing de beq: rs=${rs}, rt=${rt}, offset=${offset}`);
+         const instr = new Instruction(InstructionType.I_TYPE, opcode, rs, rt, Register.ZERO, offset);
+         instr.labelName = labels && labels.has(targetPart) ? targetPart : null;  // Guardar o nome do label para debug
+         return instr;
+      } else if (MemoryAccessSize[opcode]) {
+         if (parts.length !== 3) return this.operandCountError(opcode);
+         const rt = this.parseRegister(parts[1]);
+         // offset($rs), com offset decimal/hexadecimal opcional
+         const offsetMatch = parts[2].match(/^(.*)\((\$\w+)\)$/);
+         if (!offsetMatch) {
+            this.reportDiagnostic(DiagnosticSeverity.ERROR,
+               `endereço inválido ${parts[2]} (esperado offset($rs) ou label)`, parts[2]);
             return null;
          }
-
-         return {
-            type: InstructionType.I_TYPE,
-            opcode: 'beq',
-            rs,
-            rt,
-            offset,
-            labelName: labels && labels.has(parts[3]) ? parts[3] : null,  // Guardar o nome do label para debug
-            toString() {
-               const targetStr = this.labelName ? `${this.offset} (${this.labelName})` : this.offset;
-               return `${this.opcode} ${RegisterName[this.rs]}, ${RegisterName[this.rt]}, ${targetStr}`;
-            }
-         };
-      } else if (opcode === 'lw' || opcode === 'sw') {
-         if (parts.length !== 3) return null;
-         const rt = this.parseRegister(parts[1]);
-         const offsetMatch = parts[2].match(/(-?\d+)\((\$\w+)\)/);
-         if (!offsetMatch) return null;
-         const offset = parseInt(offsetMatch[1]);
+         const offset = offsetMatch[1] ? this.parseImmediate(offsetMatch[1]) : 0;
          const rs = this.parseRegister(offsetMatch[2]);
-         if ([rs, rt].some(v => v === null)) return null;
-         return {
-            type: InstructionType.I_TYPE,
-            opcode: opcode,
-            rs,
-            rt,
-            offset,
-            toString() {
-               return `${this.opcode} ${RegisterName[this.rt]}, ${this.offset}(${RegisterName[this.rs]})`;
-            }
-         };
+         if ([rs, rt, offset].some(v => v === null)) return null;
+         if (offset < -32768 || offset > 32767) {
+            this.reportDiagnostic(DiagnosticSeverity.ERROR, `offset fora do intervalo de 16 bits: ${offset}`, offsetMatch[1]);
+            return null;
+         }
+         return new Instruction(InstructionType.I_TYPE, opcode, rs, rt, Register.ZERO, offset);
+      } else if (opcode === Opcode.LUI) {
+         if (parts.length !== 3) return this.operandCountError(opcode);
+         const rt = this.parseRegister(parts[1]);
+         const value = this.parseImmediate(parts[2]);
+         if (rt === null || value === null) return null;
+         if (value < -32768 || value > 0xFFFF) {
+            this.reportDiagnostic(DiagnosticSeverity.ERROR, `imediato fora do intervalo de 16 bits: ${value}`, parts[2]);
+            return null;
+         }
+         return new Instruction(InstructionType.I_TYPE, opcode, Register.ZERO, rt, Register.ZERO,
+            0, 0, extendImmediate(value, false));
+      } else if (ImmediateALUOpcodes.includes(opcode)) {
+         if (parts.length !== 4) return this.operandCountError(opcode);
+         const rt = this.parseRegister(parts[1]);
+         const rs = this.parseRegister(parts[2]);
+         const value = this.parseImmediate(parts[3]);
+         if ([rs, rt, value].some(v => v === null)) return null;
+
+         // Aceita qualquer valor representável em 16 bits, com ou sem sinal
+         if (value < -32768 || value > 0xFFFF) {
+            this.reportDiagnostic(DiagnosticSeverity.ERROR, `imediato fora do intervalo de 16 bits: ${value}`, parts[3]);
+            return null;
+         }
+         return new Instruction(InstructionType.I_TYPE, opcode, rs, rt, Register.ZERO,
+            0, 0, extendImmediate(value, SignExtendedOpcodes.includes(opcode)));
       }
       return null;
    }
 
+   // Converte o endereço em bytes do destino de um branch ou jump (ex:
+   // 0x00400008) no índice da instrução, ou null se malformado
+   parseTargetAddress(str, opcode) {
+      const value = this.parseImmediate(str);
+      if (value === null) return null;
+      if (value < 0 || value > 0xFFFFFFFF || value % 4 !== 0) {
+         this.reportDiagnostic(DiagnosticSeverity.ERROR,
+            `endereço de destino inválido ${str} em ${opcode} (esperado múltiplo de 4 entre 0 e 0xffffffff)`, str);
+         return null;
+      }
+      return value / 4;
+   }
+
    parseJTypeInstruction(parts, labels) {
-      console.log('Parsing J-type:', parts);
-      if (parts.length !== 2) return null;
+      debugLog('Parsing J-type:', parts);
+      if (parts.length !== 2) return this.operandCountError(parts[0].toLowerCase());
 
       let target;
       let labelName = null;
 
-      // Verificar se o target é um label
+      // O destino é um label ou um endereço absoluto em bytes; target guarda
+      // o índice da instrução (a região de 256MB é conferida na codificação)
       if (labels && labels.has(parts[1])) {
          target = labels.get(parts[1]);
          labelName = parts[1]; // Guardar o nome do label
-         console.log(`Label "${parts[1]}" resolvido para target ${target} (endereço absoluto)`);
+         debugLog(`Label "${parts[1]}" resolvido para target ${target} (endereço absoluto)`);
+      } else if (/^[A-Za-z_]\w*$/.test(parts[1])) {
+         this.reportUndefinedLabel(parts[1]);
+         return null;
       } else {
-         target = parseInt(parts[1]);
+         target = this.parseTargetAddress(parts[1], parts[0].toLowerCase());
+         if (target === null) return null;
       }
 
-      if (isNaN(target)) {
-         console.error(`Erro no parsing de jump: target=${target}`);
-         return null;
+      const instr = new Instruction(InstructionType.J_TYPE, parts[0].toLowerCase(),
+         Register.ZERO, Register.ZERO, Register.ZERO, 0, target);
+      instr.labelName = labelName;
+      return instr;
+   }
+
+   /**
+    * Expande uma pseudo-instrução em instruções reais
+    *
+    * Retorna a lista de linhas de instruções reais; linhas que não são
+    * pseudo-instruções são devolvidas sem alteração. Na primeira passagem
+    * do montador (labels === null) a expansão é usada apenas para contar
+    * quantos endereços a linha ocupa, por isso o tamanho nunca depende do
+    * valor de um label. $at é usado como temporário.
+    */
+   expandPseudoInstruction(line, labels, dataLabels = null) {
+      line = line.split('#')[0].trim();
+      const parts = line.split(/\s+/);
+      const opcode = parts[0].toLowerCase();
+      for (let i = 1; i < parts.length; i++) {
+         parts[i] = parts[i].replace(',', '').trim();
       }
 
-      return {
-         type: InstructionType.J_TYPE,
-         opcode: parts[0],
-         target,
-         labelName,
-         toString() {
-            const targetStr = this.labelName ? `${this.target} (${this.labelName})` : this.target;
-            return `${this.opcode} ${targetStr}`;
+      switch (opcode) {
+         case 'li': {
+            if (parts.length !== 3) return [line];
+            const value = this.parseImmediate(parts[2]);
+            if (value === null || value < -2147483648 || value > 0xFFFFFFFF) return [line];
+            if (value >= -32768 && value <= 32767) {
+               return [`addiu ${parts[1]}, $zero, ${value}`];
+            }
+            if (value >= 0 && value <= 0xFFFF) {
+               return [`ori ${parts[1]}, $zero, ${value}`];
+            }
+            return [
+               `lui $at, ${(value >>> 16) & 0xFFFF}`,
+               `ori ${parts[1]}, $at, ${value & 0xFFFF}`
+            ];
          }
-      };
+         case 'la': {
+            if (parts.length !== 3) return [line];
+            let address = labels === null ? 0 : this.resolveAddress(parts[2], labels, dataLabels);
+            // Label desconhecido: mantém as duas linhas para não deslocar os endereços
+            const hi = address === null ? parts[2] : (address >>> 16) & 0xFFFF;
+            const lo = address === null ? parts[2] : address & 0xFFFF;
+            return [`lui $at, ${hi}`, `ori ${parts[1]}, $at, ${lo}`];
+         }
+         case 'lw':
+         case 'lh':
+         case 'lhu':
+         case 'lb':
+         case 'lbu':
+         case 'sw':
+         case 'sh':
+         case 'sb': {
+            // Acesso direto a um label: lw $rt, label -> lui $at, hi + lw $rt, lo($at)
+            if (parts.length !== 3 || parts[2].includes('(')) return [line];
+            const address = labels === null ? 0 : this.resolveAddress(parts[2], labels, dataLabels);
+            if (address === null) {
+               return [`lui $at, ${parts[2]}`, `${opcode} ${parts[1]}, ${parts[2]}($at)`];
+            }
+            // lo é estendido com sinal no cálculo do endereço, então hi compensa
+            const lo = extendImmediate(address, true);
+            const hi = ((address - lo) >>> 16) & 0xFFFF;
+            return [`lui $at, ${hi}`, `${opcode} ${parts[1]}, ${lo}($at)`];
+         }
+         case 'move':
+            if (parts.length !== 3) return [line];
+            return [`or ${parts[1]}, ${parts[2]}, $zero`];
+         case 'blt':
+            if (parts.length !== 4) return [line];
+            return [`slt $at, ${parts[1]}, ${parts[2]}`, `bne $at, $zero, ${parts[3]}`];
+         case 'bgt':
+            if (parts.length !== 4) return [line];
+            return [`slt $at, ${parts[2]}, ${parts[1]}`, `bne $at, $zero, ${parts[3]}`];
+         case 'ble':
+            if (parts.length !== 4) return [line];
+            return [`slt $at, ${parts[2]}, ${parts[1]}`, `beq $at, $zero, ${parts[3]}`];
+         case 'bge':
+            if (parts.length !== 4) return [line];
+            return [`slt $at, ${parts[1]}, ${parts[2]}`, `beq $at, $zero, ${parts[3]}`];
+         case 'b':
+            if (parts.length !== 2) return [line];
+            return [`beq $zero, $zero, ${parts[1]}`];
+         case 'beqz':
+            if (parts.length !== 3) return [line];
+            return [`beq ${parts[1]}, $zero, ${parts[2]}`];
+         case 'bnez':
+            if (parts.length !== 3) return [line];
+            return [`bne ${parts[1]}, $zero, ${parts[2]}`];
+         default:
+            return [line];
+      }
+   }
+
+   // Cria o marcador de uma linha que não pôde ser montada (gera exceção RI)
+   createInvalidInstruction(line) {
+      const instr = new Instruction(InstructionType.INVALID, null);
+      instr.source = line;
+      return instr;
+   }
+
+   // Converte um registrador do CP0 ($12, $epc, $status, ...) em índice
+   parseCP0Register(str) {
+      str = str.replace(',', '').trim().toLowerCase();
+      if (CP0RegisterAlias.hasOwnProperty(str)) {
+         return CP0RegisterAlias[str];
+      }
+      const match = str.match(/^\$(\d+)$/);
+      if (match && parseInt(match[1]) <= 31) {
+         return parseInt(match[1]);
+      }
+      this.reportDiagnostic(DiagnosticSeverity.ERROR, `registrador do CP0 desconhecido ${str}`, str);
+      return null;
+   }
+
+   parseCOP0Instruction(parts) {
+      debugLog('Parsing COP0:', parts);
+      const opcode = parts[0].toLowerCase();
+
+      if (opcode === Opcode.ERET) {
+         if (parts.length !== 1) return this.operandCountError(opcode);
+         return new Instruction(InstructionType.COP0, opcode);
+      }
+
+      // mfc0/mtc0 $rt, $rd (rd é o registrador do CP0)
+      if (parts.length !== 3) return this.operandCountError(opcode);
+      const rt = this.parseRegister(parts[1]);
+      const rd = this.parseCP0Register(parts[2]);
+      if (rt === null || rd === null) return null;
+      return new Instruction(InstructionType.COP0, opcode, Register.ZERO, rt, rd);
    }
 
    // Método para fazer parse de uma instrução
    parseInstruction(line, labels) {
-      console.log(`parseInstruction: original line: "${line}"`);
+      debugLog(`parseInstruction: original line: "${line}"`);
       line = line.split('#')[0].trim();
-      console.log(`parseInstruction: cleaned line: "${line}"`);
+      debugLog(`parseInstruction: cleaned line: "${line}"`);
       if (!line) return null;
 
       // Manter as vírgulas para melhor parsing
@@ -995,35 +4211,320 @@ class MIPSPipeline {
          parts[i] = parts[i].replace(',', '').trim();
       }
 
-      console.log(`parseInstruction: opcode: "${opcode}", parts:`, parts);
+      debugLog(`parseInstruction: opcode: "${opcode}", parts:`, parts);
       switch (opcode) {
          case 'add':
          case 'sub':
+         case 'addu':
+         case 'subu':
          case 'mul':
+         case 'mult':
+         case 'multu':
+         case 'div':
+         case 'divu':
+         case 'mfhi':
+         case 'mflo':
+         case 'and':
+         case 'or':
+         case 'xor':
+         case 'nor':
+         case 'slt':
+         case 'sltu':
+         case 'sll':
+         case 'srl':
+         case 'sra':
+         case 'sllv':
+         case 'srlv':
+         case 'srav':
+         case 'jr':
+         case 'jalr':
             return this.parseRTypeInstruction(parts);
          case 'lw':
          case 'sw':
+         case 'lh':
+         case 'lhu':
+         case 'lb':
+         case 'lbu':
+         case 'sh':
+         case 'sb':
          case 'beq':
+         case 'bne':
+         case 'blez':
+         case 'bgtz':
+         case 'bltz':
+         case 'bgez':
+         case 'addi':
+         case 'addiu':
+         case 'andi':
+         case 'ori':
+         case 'xori':
+         case 'slti':
+         case 'sltiu':
+         case 'lui':
             return this.parseITypeInstruction(parts, labels);
          case 'j':
+         case 'jal':
             return this.parseJTypeInstruction(parts, labels);
+         case 'mfc0':
+         case 'mtc0':
+         case 'eret':
+            return this.parseCOP0Instruction(parts);
+         case 'syscall':
+            if (parts.length !== 1) return this.operandCountError(opcode);
+            return new Instruction(InstructionType.SYSCALL, Opcode.SYSCALL);
          case 'nop':
-            return {
-               type: InstructionType.NOP,
-               opcode: 'nop',
-               toString() {
-                  return 'nop';
-               }
-            };
+            if (parts.length !== 1) return this.operandCountError(opcode);
+            return new Instruction(InstructionType.NOP, Opcode.NOP);
          default:
-            console.warn(`parseInstruction: opcode desconhecido "${opcode}"`);
+            this.reportDiagnostic(DiagnosticSeverity.ERROR, `instrução desconhecida ${opcode}`, parts[0]);
             return null;
       }
    }
 
+   /**
+    * Registra um diagnóstico na linha que está sendo montada
+    *
+    * A coluna é a da primeira ocorrência de token na linha (ou a do primeiro
+    * caractere, se o token não aparece, como em linhas expandidas de
+    * pseudo-instruções). Só o primeiro erro de cada linha é guardado, pois os
+    * seguintes costumam ser consequência dele. Fora do montador (ex: nomes
+    * de registradores do JSON) a mensagem vai apenas para debugLog.
+    */
+   reportDiagnostic(severity, message, token = null) {
+      const line = this.assemblingLine;
+      if (!line) {
+         debugLog(message);
+         return;
+      }
+      if (severity === DiagnosticSeverity.ERROR && this.diagnostics.some(d =>
+         d.severity === DiagnosticSeverity.ERROR && d.source === line.source && d.line === line.number)) {
+         return;
+      }
+      const index = token ? line.text.toLowerCase().indexOf(token.toLowerCase()) : -1;
+      const column = (index >= 0 ? index : line.text.search(/\S|$/)) + 1;
+      this.diagnostics.push({ source: line.source, line: line.number, column, severity, message });
+      debugLog(`${line.source}:${line.number}:${column}: ${severity}: ${message}`);
+   }
+
+   // Diagnóstico de número de operandos incorreto (retorna null para o parser)
+   operandCountError(opcode) {
+      this.reportDiagnostic(DiagnosticSeverity.ERROR, `número de operandos incorreto para ${opcode}`, opcode);
+      return null;
+   }
+
+   // Diagnóstico de referência que não é label conhecido nem número
+   reportUndefinedLabel(target) {
+      const message = /^[A-Za-z_]\w*$/.test(target) ? `label indefinido ${target}` : `destino inválido ${target}`;
+      this.reportDiagnostic(DiagnosticSeverity.ERROR, message, target);
+   }
+
+   // Assina um evento do simulador (SimulatorEvent)
+   on(event, listener) {
+      if (!this.listeners.has(event)) {
+         this.listeners.set(event, []);
+      }
+      this.listeners.get(event).push(listener);
+      return this;
+   }
+
+   // Cancela a assinatura de um evento
+   off(event, listener) {
+      const listeners = this.listeners.get(event) || [];
+      this.listeners.set(event, listeners.filter(l => l !== listener));
+      return this;
+   }
+
+   emit(event, payload) {
+      for (const listener of this.listeners.get(event) || []) {
+         listener(payload);
+      }
+   }
+
+   // Verifica se o último programa carregado tem erros de montagem
+   hasAssemblyErrors() {
+      return this.diagnostics.some(d => d.severity === DiagnosticSeverity.ERROR);
+   }
+
+   // Verifica se o programa terminou (ver haltReason)
+   isFinished() {
+      return this.haltReason !== null;
+   }
+
+   /**
+    * Detecta o término do programa: pipeline vazio depois de um syscall exit,
+    * de uma exceção sem tratador ou sem instrução no PC
+    *
+    * Se a instrução anterior ao PC existe, a execução seguiu além da última
+    * instrução (ou desviou para um label logo depois dela): fim do programa.
+    * Caso contrário o PC foi desviado para um endereço sem instrução.
+    * Retorna o HaltReason ou null se o programa continua.
+    */
+   detectHalt() {
+      const { IF, ID, EX, MEM } = this.pipelineStages;
+      if (IF || ID || EX || MEM) return null;
+      if (this.exitRequested) return HaltReason.EXIT;
+      if (this.unhandledException) return HaltReason.UNHANDLED_EXCEPTION;
+      if (this.fetchInstruction(this.PC) !== null) return null;
+
+      return this.instructionMemory.has(this.PC - 4) ? HaltReason.END_OF_PROGRAM : HaltReason.UNMAPPED_ADDRESS;
+   }
+
+   /**
+    * Adiciona um breakpoint: pausa quando a instrução em location (endereço ou
+    * label) chega ao estágio indicado e a condição, se houver, é verdadeira
+    *
+    * A condição compara um registrador com um número ou outro registrador
+    * (ex: "$s1 == 10", "$t0 < $t1"), com os valores no fim do ciclo.
+    * Retorna o breakpoint criado; lança Error para endereço, label, estágio
+    * ou condição inválidos.
+    */
+   addBreakpoint(location, { stage = 'IF', condition = null } = {}) {
+      if (!PipelineStageNames.includes(stage)) {
+         throw new Error(`estágio inválido ${stage}`);
+      }
+      return this.createBreakpoint(BreakpointKind.INSTRUCTION, location, {
+         stage,
+         condition: condition ? this.parseBreakpointCondition(condition) : null
+      });
+   }
+
+   // Watchpoint de registrador: pausa a cada escrita no registrador no WB
+   watchRegister(register) {
+      const index = RegisterAlias[String(register).trim().toLowerCase()];
+      if (index === undefined) {
+         throw new Error(`registrador desconhecido ${register}`);
+      }
+      return this.createBreakpoint(BreakpointKind.REGISTER, null, { register: index });
+   }
+
+   // Watchpoint de memória: pausa quando um store escreve em algum dos size bytes a partir de location
+   watchMemory(location, size = 4) {
+      if (!Number.isInteger(size) || size < 1) {
+         throw new Error(`tamanho inválido ${size}`);
+      }
+      return this.createBreakpoint(BreakpointKind.MEMORY, location, { size });
+   }
+
+   // Remove um ponto de parada pelo id; retorna false se ele não existe
+   removeBreakpoint(id) {
+      const count = this.breakpoints.length;
+      this.breakpoints = this.breakpoints.filter(breakpoint => breakpoint.id !== id);
+      return this.breakpoints.length !== count;
+   }
+
+   clearBreakpoints() {
+      this.breakpoints = [];
+   }
+
+   /**
+    * Cria um ponto de parada; location é um endereço (número ou texto decimal
+    * ou hexadecimal) ou um label, resolvido a cada verificação para continuar
+    * válido quando o programa é recarregado
+    */
+   createBreakpoint(kind, location, fields) {
+      let label = null;
+      let address = null;
+      if (location !== null) {
+         const text = String(location).trim();
+         if (/^(0x[0-9a-f]+|\d+)$/i.test(text)) {
+            address = Number(text);
+         } else if (this.labelAddresses.has(text)) {
+            label = text;
+         } else {
+            throw new Error(`endereço ou label desconhecido ${text}`);
+         }
+      }
+
+      const breakpoint = { id: this.nextBreakpointId++, kind, label, address, ...fields };
+      this.breakpoints.push(breakpoint);
+      return breakpoint;
+   }
+
+   // Endereço atual de um ponto de parada (null se o label não existe no programa carregado)
+   getBreakpointAddress(breakpoint) {
+      if (breakpoint.label === null) return breakpoint.address;
+      return this.labelAddresses.has(breakpoint.label) ? this.labelAddresses.get(breakpoint.label) : null;
+   }
+
+   // Interpreta "registrador operador valor"; lança Error para condição inválida
+   parseBreakpointCondition(text) {
+      const match = String(text).trim().match(/^(\$\w+)\s*(==|!=|<=|>=|<|>)\s*(\$\w+|-?(?:0x[0-9a-f]+|\d+))$/i);
+      if (!match) {
+         throw new Error(`condição inválida ${text} (ex: $s1 == 10)`);
+      }
+      const [, left, operator, right] = match;
+      const condition = { text: match[0], register: RegisterAlias[left.toLowerCase()], operator, rightRegister: null, value: null };
+      if (right.startsWith('$')) {
+         condition.rightRegister = RegisterAlias[right.toLowerCase()];
+      } else {
+         const value = Number(right.replace(/^-/, ''));
+         condition.value = right.startsWith('-') ? -value : value;
+      }
+
+      for (const register of [left, right]) {
+         if (register.startsWith('$') && RegisterAlias[register.toLowerCase()] === undefined) {
+            throw new Error(`registrador desconhecido ${register}`);
+         }
+      }
+      return condition;
+   }
+
+   evaluateBreakpointCondition(condition) {
+      const left = this.registradores[condition.register];
+      const right = condition.rightRegister !== null ? this.registradores[condition.rightRegister] : condition.value | 0;
+      return ConditionOperators[condition.operator](left, right);
+   }
+
+   // seq da instrução em cada latch (o latch IF guarda a instrução; o seq fica em fetchSeq)
+   getStageSeqs() {
+      const seqs = {};
+      for (const stage of PipelineStageNames) {
+         const latch = this.pipelineStages[stage];
+         seqs[stage] = latch ? (stage === 'IF' ? this.fetchSeq : latch.seq) : null;
+      }
+      return seqs;
+   }
+
+   // Breakpoints das instruções que chegaram a um estágio neste ciclo (as paradas não contam de novo)
+   checkInstructionBreakpoints(previousSeqs) {
+      const seqs = this.getStageSeqs();
+      for (const breakpoint of this.breakpoints) {
+         if (breakpoint.kind !== BreakpointKind.INSTRUCTION) continue;
+
+         const { stage } = breakpoint;
+         const latch = this.pipelineStages[stage];
+         if (!latch || seqs[stage] === previousSeqs[stage]) continue;
+
+         const pc = stage === 'IF' ? this.fetchPC : latch.pc;
+         if (pc !== this.getBreakpointAddress(breakpoint)) continue;
+         if (breakpoint.condition && !this.evaluateBreakpointCondition(breakpoint.condition)) continue;
+         this.breakpointHits.push({ breakpoint, stage, pc });
+      }
+   }
+
+   // Watchpoints de registrador, chamado a cada escrita no WB
+   checkRegisterWatchpoints(register, oldValue, pc) {
+      for (const breakpoint of this.breakpoints) {
+         if (breakpoint.kind === BreakpointKind.REGISTER && breakpoint.register === register) {
+            this.breakpointHits.push({ breakpoint, pc, register, oldValue, value: this.registradores[register] });
+         }
+      }
+   }
+
+   // Watchpoints de memória, chamado a cada store no MEM
+   checkMemoryWatchpoints(address, size, value, pc) {
+      for (const breakpoint of this.breakpoints) {
+         if (breakpoint.kind !== BreakpointKind.MEMORY) continue;
+         const start = this.getBreakpointAddress(breakpoint);
+         if (start !== null && address < start + breakpoint.size && start < address + size) {
+            this.breakpointHits.push({ breakpoint, pc, address, size, value });
+         }
+      }
+   }
+
    // Método para executar continuamente
    run() {
-      if (this.isRunning) return;
+      if (this.isRunning || this.hasAssemblyErrors() || this.haltReason) return;
 
       this.isRunning = true;
       this.runInterval = setInterval(() => {
@@ -1045,11 +4546,14 @@ class MIPSPipeline {
       // Parar execução se estiver rodando
       this.stop();
 
-      // Resetar registradores
-      this.registradores = new Array(32).fill(0);
+      // Resetar memória (a endianness configurada é mantida)
+      this.memoria = createMemoryRegions();
 
-      // Resetar memória
-      this.memoria = new Array(1024).fill(0);
+      // Resetar registradores ($sp volta ao topo da pilha)
+      this.registradores = new Array(32).fill(0);
+      this.registradores[Register.SP] = STACK_POINTER_ADDRESS;
+      this.hi = 0;
+      this.lo = 0;
 
       // Resetar pipeline
       this.pipelineStages = {
@@ -1061,169 +4565,265 @@ class MIPSPipeline {
       };
 
       // Resetar PC
-      this.PC = 0;
+      this.PC = TEXT_BASE_ADDRESS;
+
+      // Resetar Coprocessador 0
+      this.cp0 = new Array(32).fill(0);
+
+      // Resetar caches de dados e de instruções (a configuração é mantida)
+      this.dataCache = this.dataCacheOptions ? createCache(this.dataCacheOptions) : null;
+      this.cacheMissCycles = null;
+      this.instructionCache = this.instructionCacheOptions ? createInstructionCache(this.instructionCacheOptions) : null;
+      this.fetchMissCycles = null;
+      this.fetchMissAddress = null;
 
       // Resetar preditor de branch
-      this.branchPredictor.clear();
+      this.branchPredictor = createBranchPredictor(this.predictorType, this.predictorOptions);
+      this.branchTargetBuffer.clear();
+      this.branchOutcomes.clear();
 
-      // Resetar cache de instruções
-      this.instructionCache.clear();
+      // Resetar memória de instruções
+      this.instructionMemory.clear();
+      this.symbols.clear();
+      this.labelAddresses.clear();
 
       // Resetar estado
       this.stalled = false;
+      this.stallCause = null;
       this.cycle = 0;
-
-      // Atualizar interface
-      this.updateUI();
+      this.retiredCount = 0;
+      this.stats = createStatistics();
+      this.haltReason = null;
+      this.unhandledException = null;
+      this.nextSeq = 0;
+      this.fetchSeq = null;
+      this.fetchPC = null;
+      this.fetchInDelaySlot = false;
+      this.predictedPC = null;
+      this.slotTarget = null;
+      this.timeline.clear();
+      this.history.clear();
+      this.breakpointHits = [];
+
+      // Resetar console (a entrada do JSON é recarregada por loadProgramData)
+      this.consoleOutput = '';
+      this.inputQueue = [];
+      this.waitingForInput = false;
+      this.exitRequested = false;
+      this.heapBreak = HEAP_BASE_ADDRESS;
    }
 
-   // Método para ajustar velocidade de execução
-   setRunSpeed(speed) {
-      this.runSpeed = speed;
-      if (this.isRunning) {
-         this.stop();
-         this.run();
+   /**
+    * Snapshot do estado no fim do ciclo atual (ver ExecutionHistory)
+    *
+    * Os latches são copiados porque o forwarding altera os valores do latch
+    * ID; as instruções não mudam e são compartilhadas. A saída do console só
+    * cresce, então basta o tamanho dela.
+    */
+   captureState() {
+      const stages = {};
+      for (const stage of PipelineStageNames) {
+         const latch = this.pipelineStages[stage];
+         stages[stage] = latch && stage !== 'IF' ? { ...latch } : latch;
       }
+      return {
+         cycle: this.cycle,
+         PC: this.PC,
+         pipelineStages: stages,
+         registradores: this.registradores.slice(),
+         hi: this.hi,
+         lo: this.lo,
+         cp0: this.cp0.slice(),
+         memoria: this.memoria.map(region => region.bytes),
+         predictorType: this.predictorType,
+         predictorOptions: this.predictorOptions,
+         branchPredictor: this.branchPredictor,
+         dataCacheOptions: this.dataCacheOptions,
+         dataCache: this.dataCache,
+         cacheMissCycles: this.cacheMissCycles,
+         instructionCacheOptions: this.instructionCacheOptions,
+         instructionCache: this.instructionCache,
+         fetchMissCycles: this.fetchMissCycles,
+         fetchMissAddress: this.fetchMissAddress,
+         branchTargetBuffer: new Map(this.branchTargetBuffer),
+         branchOutcomes: new Map(Array.from(this.branchOutcomes, ([address, outcome]) => [address, { ...outcome }])),
+         stalled: this.stalled,
+         stallCause: this.stallCause,
+         retiredCount: this.retiredCount,
+         stats: {
+            ...this.stats,
+            stalls: { ...this.stats.stalls },
+            forwards: { ...this.stats.forwards },
+            branches: { ...this.stats.branches }
+         },
+         haltReason: this.haltReason,
+         unhandledException: this.unhandledException,
+         nextSeq: this.nextSeq,
+         fetchSeq: this.fetchSeq,
+         fetchPC: this.fetchPC,
+         fetchInDelaySlot: this.fetchInDelaySlot,
+         predictedPC: this.predictedPC,
+         slotTarget: this.slotTarget,
+         timeline: this.timeline.getCursor(),
+         consoleLength: this.consoleOutput.length,
+         inputQueue: this.inputQueue.slice(),
+         waitingForInput: this.waitingForInput,
+         exitRequested: this.exitRequested,
+         heapBreak: this.heapBreak
+      };
    }
 
-   // Método para tratar hazard de controle
-   handleControlHazard(instruction, actualTaken) {
-      console.log("Método handleControlHazard está obsoleto, o tratamento é feito em executeID");
+   // Guarda o ciclo atual no histórico; memória, preditor e caches passam a ser copy-on-write
+   recordHistory() {
+      const snapshot = this.captureState();
+      this.history.record(snapshot, [...snapshot.memoria, snapshot.branchPredictor, snapshot.dataCache, snapshot.instructionCache]);
    }
-}
 
-let lastLoadedProgram = null;  // salva o último programa carregado
-
-// Inicialização da interface
-document.addEventListener('DOMContentLoaded', () => {
-   console.log('Inicializando interface...'); // Debug log
-   const pipeline = new MIPSPipeline();
-
-   // Event listeners para os botões
-   document.getElementById('next-cycle').addEventListener('click', () => {
-      console.log('Botão próximo ciclo clicado'); // Debug log
-      pipeline.stop();
-      pipeline.executeCycle();
-   });
-
-   document.getElementById('run').addEventListener('click', () => {
-      console.log('Botão executar clicado'); // Debug log
-      if (pipeline.isRunning) {
-         pipeline.stop();
-         document.getElementById('run').textContent = 'Executar';
-      } else {
-         pipeline.run();
-         document.getElementById('run').textContent = 'Parar';
+   // Restaura um snapshot de captureState (os objetos dele continuam no histórico)
+   restoreState(snapshot) {
+      this.cycle = snapshot.cycle;
+      this.PC = snapshot.PC;
+      for (const stage of PipelineStageNames) {
+         const latch = snapshot.pipelineStages[stage];
+         this.pipelineStages[stage] = latch && stage !== 'IF' ? { ...latch } : latch;
       }
-   });
-
-   document.getElementById('file-input').addEventListener('change', (e) => {
-      const file = e.target.files[0];
-      if (!file) return;
-
-      const reader = new FileReader();
-      reader.onload = (event) => {
-         try {
-            const data = JSON.parse(event.target.result);
-
-            if (!data.program) {
-               alert("Arquivo inválido. Campo 'program' é obrigatório.");
-               return;
-            }
-
-            lastLoadedProgram = data; // Salva para o reset
-
-            // Carrega o programa
-            pipeline.reset();
-            pipeline.loadProgram(data.program.join('\n'));
-
-            // Carrega registradores
-            if (data.registradores) {
-               for (const reg in data.registradores) {
-                  if (RegisterAlias.hasOwnProperty(reg)) {
-                     const index = RegisterAlias[reg];
-                     pipeline.registradores[index] = data.registradores[reg];
-                     console.log(`Registrador ${reg} = ${data.registradores[reg]}`);
-                  } else {
-                     console.warn(`AVISO: Registrador desconhecido ${reg}. Apenas registradores $s0-$s31 são suportados.`);
-                  }
-               }
-            }
-
-            // Carrega memória
-            if (data.memoria) {
-               for (const addr in data.memoria) {
-                  const index = parseInt(addr);
-                  if (!isNaN(index)) {
-                     // Converte endereço de memória em bytes para índice do array (divido por 4)
-                     pipeline.memoria[index / 4] = data.memoria[addr];
-                     console.log(`Memória[${index}] = ${data.memoria[addr]}`);
-                  }
-               }
-            }
-
-            pipeline.updateUI();
-
-            document.getElementById('run').textContent = 'Executar';
-            alert('Programa carregado com sucesso!');
-         } catch (err) {
-            alert('Erro ao ler o arquivo: ' + err.message);
-         }
+      this.registradores = snapshot.registradores.slice();
+      this.hi = snapshot.hi;
+      this.lo = snapshot.lo;
+      this.cp0 = snapshot.cp0.slice();
+      this.memoria.forEach((region, i) => { region.bytes = snapshot.memoria[i]; });
+      this.predictorType = snapshot.predictorType;
+      this.predictorOptions = snapshot.predictorOptions;
+      this.branchPredictor = snapshot.branchPredictor;
+      this.dataCacheOptions = snapshot.dataCacheOptions;
+      this.dataCache = snapshot.dataCache;
+      this.cacheMissCycles = snapshot.cacheMissCycles;
+      this.instructionCacheOptions = snapshot.instructionCacheOptions;
+      this.instructionCache = snapshot.instructionCache;
+      this.fetchMissCycles = snapshot.fetchMissCycles;
+      this.fetchMissAddress = snapshot.fetchMissAddress;
+      this.branchTargetBuffer = new Map(snapshot.branchTargetBuffer);
+      this.branchOutcomes = new Map(Array.from(snapshot.branchOutcomes, ([address, outcome]) => [address, { ...outcome }]));
+      this.stalled = snapshot.stalled;
+      this.stallCause = snapshot.stallCause;
+      this.retiredCount = snapshot.retiredCount;
+      this.stats = {
+         ...snapshot.stats,
+         stalls: { ...snapshot.stats.stalls },
+         forwards: { ...snapshot.stats.forwards },
+         branches: { ...snapshot.stats.branches }
       };
-      reader.readAsText(file);
-   });
-
-   document.getElementById('reset').addEventListener('click', () => {
-      console.log('Botão reset clicado');
-
-      pipeline.reset();
-
-      if (lastLoadedProgram) {
-         // Recarregar o último programa
-         pipeline.loadProgram(lastLoadedProgram.program.join('\n'));
-
-         if (lastLoadedProgram.registradores) {
-            for (const reg in lastLoadedProgram.registradores) {
-               if (RegisterAlias.hasOwnProperty(reg)) {
-                  const index = RegisterAlias[reg];
-                  pipeline.registradores[index] = lastLoadedProgram.registradores[reg];
-                  console.log(`Registrador ${reg} = ${lastLoadedProgram.registradores[reg]}`);
-               } else {
-                  console.warn(`AVISO: Registrador desconhecido ${reg}. Apenas registradores $s0-$s31 são suportados.`);
-               }
-            }
-         }
+      this.haltReason = snapshot.haltReason;
+      this.unhandledException = snapshot.unhandledException;
+      this.nextSeq = snapshot.nextSeq;
+      this.fetchSeq = snapshot.fetchSeq;
+      this.fetchPC = snapshot.fetchPC;
+      this.fetchInDelaySlot = snapshot.fetchInDelaySlot;
+      this.predictedPC = snapshot.predictedPC;
+      this.slotTarget = snapshot.slotTarget;
+      this.timeline.rewind(snapshot.cycle, snapshot.timeline);
+      this.consoleOutput = this.consoleOutput.slice(0, snapshot.consoleLength);
+      this.inputQueue = snapshot.inputQueue.slice();
+      this.waitingForInput = snapshot.waitingForInput;
+      this.exitRequested = snapshot.exitRequested;
+      this.heapBreak = snapshot.heapBreak;
+      this.breakpointHits = [];
+   }
 
-         if (lastLoadedProgram.memoria) {
-            for (const addr in lastLoadedProgram.memoria) {
-               const index = parseInt(addr);
-               if (!isNaN(index)) {
-                  // Converte endereço de memória em bytes para índice do array (divido por 4)
-                  pipeline.memoria[index / 4] = lastLoadedProgram.memoria[addr];
-                  console.log(`Memória[${index}] = ${lastLoadedProgram.memoria[addr]}`);
-               }
-            }
+   /**
+    * Vai para o fim do ciclo indicado
+    *
+    * Ciclos anteriores são restaurados do histórico (os ciclos posteriores
+    * são descartados e serão executados de novo); ciclos à frente são
+    * executados até lá, parando antes se o programa terminar, aguardar
+    * entrada ou atingir um ponto de parada. Retorna true se o pipeline
+    * chegou ao ciclo.
+    */
+   goToCycle(cycle) {
+      this.stop();
+      if (cycle < this.cycle) {
+         const snapshot = this.history.get(cycle);
+         if (!snapshot) {
+            debugLog(`Ciclo ${cycle} não está mais no histórico`); // Debug log
+            return false;
          }
+         this.restoreState(snapshot);
+         this.history.truncate(cycle);
+         debugLog(`Estado restaurado para o ciclo ${cycle}`); // Debug log
+         this.emit(SimulatorEvent.REWIND, { cycle });
+         return true;
+      }
 
-         pipeline.updateUI();
+      while (this.cycle < cycle && !this.hasAssemblyErrors() && !this.haltReason) {
+         const before = this.cycle;
+         this.executeCycle();
+         if (this.cycle === before || this.breakpointHits.length > 0) break;  // Aguardando entrada ou ponto de parada
       }
+      return this.cycle === cycle;
+   }
 
-      document.getElementById('run').textContent = 'Executar';
-   });
+   // Volta um ciclo; retorna false no ciclo 0 ou fora do histórico
+   stepBack() {
+      return this.cycle > 0 && this.goToCycle(this.cycle - 1);
+   }
 
-   // Adicionar controle de velocidade
-   const speedControl = document.createElement('div');
-   speedControl.className = 'controle-velocidade';
-   speedControl.innerHTML = `
-      <label for="speed">Velocidade (ms):</label>
-      <input type="range" id="speed" min="100" max="2000" step="100" value="1000">
-      <span id="speed-value">1000</span>
-   `;
-   document.querySelector('.controles').appendChild(speedControl);
+   // Método para ajustar velocidade de execução
+   setRunSpeed(speed) {
+      this.runSpeed = speed;
+      if (this.isRunning) {
+         this.stop();
+         this.run();
+      }
+   }
+}
 
-   document.getElementById('speed').addEventListener('input', (e) => {
-      const speed = parseInt(e.target.value);
-      document.getElementById('speed-value').textContent = speed;
-      pipeline.setRunSpeed(speed);
-   });
-});
+// No Node.js o núcleo é exportado como módulo; no navegador as declarações
+// acima ficam globais para a interface (view.js)
+if (typeof module !== 'undefined' && module.exports) {
+   module.exports = {
+      MIPSPipeline,
+      Instruction,
+      MemoryAccessError,
+      PipelineTimeline,
+      ExecutionHistory,
+      HISTORY_LIMIT,
+      PipelineStageNames,
+      TimelineCellKind,
+      InstructionType,
+      Opcode,
+      Register,
+      RegisterABINames,
+      RegisterNamingStyle,
+      Endianness,
+      ExceptionCode,
+      ExceptionName,
+      CP0Register,
+      BranchState,
+      DiagnosticSeverity,
+      SimulatorEvent,
+      SyscallService,
+      HaltReason,
+      PredictorType,
+      PredictorDefaults,
+      BranchResolutionStage,
+      CacheReplacement,
+      CacheWritePolicy,
+      CacheDefaults,
+      InstructionCacheDefaults,
+      CacheModel,
+      StallCause,
+      ForwardingPath,
+      BreakpointKind,
+      TEXT_BASE_ADDRESS,
+      DATA_BASE_ADDRESS,
+      HEAP_BASE_ADDRESS,
+      STACK_POINTER_ADDRESS,
+      EXCEPTION_HANDLER_ADDRESS,
+      getRegisterName,
+      setRegisterNamingStyle,
+      setDebugLogging,
+      encodeInstruction,
+      decodeInstruction,
+      formatWord
+   };
+}
@@ -0,0 +1,1021 @@
+/**
+ * Interface do simulador no navegador
+ *
+ * O núcleo (pipeline.js) não acessa o DOM: ele apenas emite eventos
+ * (SimulatorEvent). A PipelineView assina esses eventos e desenha o estado do
+ * pipeline, do diagrama de tempo, dos registradores, da memória, do CP0, do
+ * preditor, das caches, das estatísticas, do console e do código fonte. Deve ser
+ * carregada depois de pipeline.js.
+ */
+class PipelineView {
+   constructor(pipeline) {
+      this.pipeline = pipeline;
+      this.timingDiagram = null;  // Elementos do SVG do diagrama de tempo (ver updateTimingDiagram)
+
+      // Redesenhar a cada ciclo, ao voltar no histórico e quando um programa
+      // é carregado com erros
+      pipeline.on(SimulatorEvent.CYCLE, () => this.render());
+      pipeline.on(SimulatorEvent.REWIND, () => this.render());
+      pipeline.on(SimulatorEvent.LOAD_ERROR, () => this.render());
+   }
+
+   // Método para atualizar a interface
+   render() {
+      console.log('Atualizando interface...'); // Debug log
+
+      // Atualizar pipeline
+      this.updatePipelineDisplay();
+
+      // Atualizar diagrama de tempo
+      this.updateTimingDiagram();
+
+      // Atualizar registradores
+      this.updateRegistersDisplay();
+
+      // Atualizar memória
+      this.updateMemoryDisplay();
+
+      // Atualizar preditor de branch
+      this.updateBranchPredictorDisplay();
+
+      // Atualizar caches de dados e de instruções
+      this.updateCacheDisplay();
+
+      // Atualizar Coprocessador 0
+      this.updateCP0Display();
+
+      // Atualizar estatísticas de desempenho
+      this.updateStatisticsDisplay();
+
+      // Atualizar pontos de parada
+      this.updateBreakpointsDisplay();
+
+      // Atualizar código fonte e diagnósticos do montador
+      this.updateSourceDisplay();
+
+      // Atualizar console dos syscalls
+      this.updateConsoleDisplay();
+
+      // Atualizar resumo do término do programa
+      this.updateStatusDisplay();
+
+      // Atualizar controles do histórico de ciclos
+      this.updateHistoryDisplay();
+
+      console.log('Interface atualizada'); // Debug log
+   }
+
+   // Métodos auxiliares para atualização da UI
+   updatePipelineDisplay() {
+      console.log('Atualizando display do pipeline...'); // Debug log
+
+      // Atualizar cada estágio do pipeline
+      for (const estagio in this.pipeline.pipelineStages) {
+         const stageElement = document.getElementById(`${estagio.toLowerCase()}-estagio`);
+         if (!stageElement) {
+            console.error(`Elemento ${estagio.toLowerCase()}-estagio não encontrado`); // Debug log
+            continue;
+         }
+
+         const instructionBox = stageElement.querySelector('.caixa-instrucao');
+         if (!instructionBox) {
+            console.error(`Elemento .caixa-instrucao não encontrado em ${estagio.toLowerCase()}-estagio`); // Debug log
+            continue;
+         }
+
+         const stageData = this.pipeline.pipelineStages[estagio];
+
+         if (stageData) {
+            // Pode ser o próprio objeto Instruction ou um objeto { instruction: Instruction }
+            const instruction = stageData.instruction || stageData;
+            if (instruction && typeof instruction.toString === 'function') {
+               instructionBox.textContent = instruction.toString();
+               if (stageData.exception) {
+                  instructionBox.textContent += ` ⚠ ${ExceptionName[stageData.exception.code]}`;
+               }
+
+               // Código de máquina ao lado do mnemônico (bolhas não têm palavra)
+               if (instruction.word !== null && instruction.word !== undefined) {
+                  const hexSpan = document.createElement('span');
+                  hexSpan.className = 'codigo-hex';
+                  hexSpan.textContent = formatWord(instruction.word);
+                  instructionBox.appendChild(hexSpan);
+               }
+
+               // Adicionar classe de hazard se necessário
+               if (this.pipeline.detectHazards()) {
+                  instructionBox.classList.add('hazard');
+               } else {
+                  instructionBox.classList.remove('hazard');
+               }
+
+               // Instrução que disparou um breakpoint neste estágio
+               const hitHere = this.pipeline.breakpointHits.some(hit => hit.stage === estagio);
+               instructionBox.classList.toggle('parada', hitHere);
+            } else {
+               instructionBox.textContent = '[instrução inválida]';
+            }
+            instructionBox.classList.remove('stall');
+         } else {
+            instructionBox.textContent = '';
+            instructionBox.classList.remove('hazard');
+            instructionBox.classList.remove('parada');
+
+            // IF vazio esperando um bloco da cache de instruções
+            const fetchMiss = estagio === 'IF' && this.pipeline.fetchMissCycles !== null;
+            if (fetchMiss) {
+               instructionBox.textContent = `falta na cache em ${formatWord(this.pipeline.fetchMissAddress)}`;
+            }
+            instructionBox.classList.toggle('stall', fetchMiss);
+         }
+      }
+   }
+
+   /**
+    * Diagrama instruções × ciclos, rolado até o ciclo mais recente
+    *
+    * O SVG é montado uma vez e depois recebe só o que mudou: números de ciclo,
+    * células e setas novas, linhas novas ou que mudaram de posição (bolhas) e
+    * a remoção do que saiu da janela guardada pelo diagrama. Ele é refeito
+    * quando o diagrama recomeça ou volta ciclos (timeline.revision).
+    */
+   updateTimingDiagram() {
+      const container = document.getElementById('diagrama-tempo');
+      if (!container) return;
+
+      const timeline = this.pipeline.timeline;
+      let diagram = this.timingDiagram;
+      if (!diagram || diagram.revision !== timeline.revision || !container.contains(diagram.svg)) {
+         container.innerHTML = PipelineTimeline.svgFrame(timeline.getViewport());
+         const svg = container.querySelector('svg');
+         const part = name => svg.querySelector(`[data-parte="${name}"]`);
+         diagram = this.timingDiagram = {
+            revision: timeline.revision,
+            svg,
+            cycles: part('ciclos'),
+            viewport: part('janela'),
+            rows: part('linhas'),
+            arrows: part('setas'),
+            labels: part('rotulos'),
+            lastCycle: 0,
+            cycleNumbers: new Map(),  // Ciclo -> número no cabeçalho
+            rowElements: new Map(),   // Linha -> { group, label, position, lastCycle }
+            arrowElements: new Map()  // Forwarding -> seta
+         };
+      }
+      const append = (parent, markup) => {
+         parent.insertAdjacentHTML('beforeend', markup);
+         return parent.lastElementChild;
+      };
+
+      // Tamanho e deslocamento da janela
+      const { width, height, x, y } = timeline.getViewport();
+      diagram.svg.setAttribute('width', width);
+      diagram.svg.setAttribute('height', height);
+      diagram.cycles.setAttribute('transform', `translate(${-x},0)`);
+      diagram.viewport.setAttribute('transform', `translate(${-x},${-y})`);
+      diagram.labels.setAttribute('transform', `translate(0,${-y})`);
+
+      // Números dos ciclos, em ordem: os que saíram da janela estão no início
+      for (const [cycle, element] of diagram.cycleNumbers) {
+         if (cycle >= timeline.firstCycle) break;
+         element.remove();
+         diagram.cycleNumbers.delete(cycle);
+      }
+      for (let cycle = Math.max(diagram.lastCycle + 1, timeline.firstCycle); cycle <= timeline.cycles; cycle++) {
+         diagram.cycleNumbers.set(cycle, append(diagram.cycles, PipelineTimeline.svgCycleNumber(cycle)));
+      }
+      diagram.lastCycle = timeline.cycles;
+
+      // Linhas: novas, com células novas ou que mudaram de posição
+      const kept = new Set();
+      const moved = new Set();  // seq das instruções que mudaram de posição
+      timeline.rows.forEach((row, i) => {
+         const position = timeline.droppedRows + i;
+         let entry = diagram.rowElements.get(row);
+         if (!entry) {
+            entry = {
+               group: append(diagram.rows, PipelineTimeline.svgRowGroup(position)),
+               label: append(diagram.labels, PipelineTimeline.svgRowLabel(row, position)),
+               position,
+               lastCycle: 0
+            };
+            diagram.rowElements.set(row, entry);
+         } else if (entry.position !== position) {
+            entry.group.setAttribute('transform', `translate(0,${PipelineTimeline.rowTop(position)})`);
+            entry.label.insertAdjacentHTML('afterend', PipelineTimeline.svgRowLabel(row, position));
+            const label = entry.label.nextElementSibling;
+            entry.label.remove();
+            entry.label = label;
+            entry.position = position;
+            if (!row.bubble) moved.add(row.seq);
+         }
+         if (row.lastCycle > entry.lastCycle) {
+            const cells = [];
+            for (const [cycle, cell] of row.cells) {
+               if (cycle > entry.lastCycle && cycle >= timeline.firstCycle) cells.push(PipelineTimeline.svgCell(cycle, cell));
+            }
+            entry.group.insertAdjacentHTML('beforeend', cells.join(''));
+            entry.lastCycle = row.lastCycle;
+         }
+         kept.add(row);
+      });
+      for (const [row, entry] of diagram.rowElements) {
+         if (kept.has(row)) continue;
+         entry.group.remove();
+         entry.label.remove();
+         diagram.rowElements.delete(row);
+      }
+
+      // Setas: as que saíram da janela ou ligam linhas que mudaram de posição
+      // são removidas (e refeitas abaixo)
+      const forwards = new Set(timeline.forwards);
+      for (const [forward, element] of diagram.arrowElements) {
+         if (forwards.has(forward) && !moved.has(forward.from.seq) && !moved.has(forward.to.seq)) continue;
+         element.remove();
+         diagram.arrowElements.delete(forward);
+      }
+      const positions = timeline.getRowPositions();
+      for (const forward of timeline.forwards) {
+         if (diagram.arrowElements.has(forward)) continue;
+         const markup = PipelineTimeline.svgForward(forward, positions);
+         if (markup) diagram.arrowElements.set(forward, append(diagram.arrows, markup));
+      }
+
+      container.scrollLeft = container.scrollWidth;
+      container.scrollTop = container.scrollHeight;
+   }
+
+   updateRegistersDisplay() {
+      console.log('Atualizando display dos registradores...'); // Debug log
+
+      const registersList = document.getElementById('registradores-list');
+      if (!registersList) {
+         console.error('Elemento registradores-list não encontrado'); // Debug log
+         return;
+      }
+
+      registersList.innerHTML = '';
+
+      // Registradores cujo watchpoint disparou no último ciclo
+      const watched = this.pipeline.breakpointHits
+         .filter(hit => hit.breakpoint.kind === BreakpointKind.REGISTER)
+         .map(hit => hit.register);
+
+      // Mostrar registradores $0-$31 com valores não-zero
+      for (let i = 0; i <= 31; i++) {
+         if (this.pipeline.registradores[i] !== 0 || watched.includes(i)) {  // Registradores com valores ou com watchpoint disparado
+            const registerDiv = document.createElement('div');
+            registerDiv.className = watched.includes(i) ? 'registrador-item parada' : 'registrador-item';
+            registerDiv.textContent = `${getRegisterName(i)}: ${this.pipeline.registradores[i]}`;
+            console.log(`Registrador ${getRegisterName(i)}: ${this.pipeline.registradores[i]}`); // Debug log
+            registersList.appendChild(registerDiv);
+         }
+      }
+
+      // HI e LO sempre visíveis
+      for (const [name, value] of [['HI', this.pipeline.hi], ['LO', this.pipeline.lo]]) {
+         const registerDiv = document.createElement('div');
+         registerDiv.className = 'registrador-item';
+         registerDiv.textContent = `${name}: ${value}`;
+         registersList.appendChild(registerDiv);
+      }
+   }
+
+   updateMemoryDisplay() {
+      console.log('Atualizando display da memória...'); // Debug log
+
+      const memoryList = document.getElementById('memoria-list');
+      if (!memoryList) {
+         console.error('Elemento memoria-list não encontrado'); // Debug log
+         return;
+      }
+
+      memoryList.innerHTML = '';
+
+      // Words escritas por stores que dispararam um watchpoint no último ciclo
+      const written = this.pipeline.breakpointHits
+         .filter(hit => hit.breakpoint.kind === BreakpointKind.MEMORY)
+         .map(hit => hit.address - (hit.address % 4));
+
+      // Mostrar apenas as words (endereços em bytes, alinhados em 4) com valores
+      for (const { region, address, value } of this.pipeline.getMemoryWords()) {
+         const memoryDiv = document.createElement('div');
+         memoryDiv.className = written.includes(address) ? 'memoria-item parada' : 'memoria-item';
+         memoryDiv.textContent = `[${address < DATA_BASE_ADDRESS ? address : formatWord(address)}]: ${value}`;
+         memoryDiv.title = `${region}: ${formatWord(value)}`;
+         console.log(`Memória[${address}]: ${value}`); // Debug log
+         memoryList.appendChild(memoryDiv);
+      }
+   }
+
+   // Resumo exibido quando o programa termina (ver HaltReason)
+   updateStatusDisplay() {
+      const status = document.getElementById('status-execucao');
+      if (!status) return;
+
+      const { haltReason, cycle, retiredCount, PC, unhandledException } = this.pipeline;
+      const summary = `${cycle} ciclos / ${retiredCount} instruções`;
+      status.className = haltReason === HaltReason.UNMAPPED_ADDRESS ||
+         haltReason === HaltReason.UNHANDLED_EXCEPTION ? 'erro' : '';
+
+      switch (haltReason) {
+         case HaltReason.END_OF_PROGRAM:
+            status.textContent = `Programa finalizado após ${summary}`;
+            break;
+         case HaltReason.EXIT:
+            status.textContent = `Programa finalizado por syscall exit após ${summary}`;
+            break;
+         case HaltReason.UNMAPPED_ADDRESS:
+            status.textContent = `Execução interrompida: desvio para endereço sem instrução ${formatWord(PC)} após ${summary}`;
+            break;
+         case HaltReason.UNHANDLED_EXCEPTION:
+            status.textContent = `Execução interrompida: exceção ${ExceptionName[unhandledException.code]} ` +
+               `em ${formatWord(unhandledException.epc)} sem tratador após ${summary}`;
+            break;
+         default:
+            if (this.isWaitingForInput()) {
+               status.textContent = 'Aguardando entrada no console...';
+            } else if (this.pipeline.breakpointHits.length > 0) {
+               status.textContent = `Pausado no ciclo ${cycle}: ${this.pipeline.breakpointHits.map(hit => this.describeBreakpointHit(hit)).join('; ')}`;
+            } else {
+               status.textContent = '';
+            }
+      }
+   }
+
+   // Faixa do seletor de ciclos: do ciclo mais antigo guardado ao mais adiantado já executado
+   updateHistoryDisplay() {
+      const scrubber = document.getElementById('cycle-scrubber');
+      if (!scrubber) return;
+
+      const { history, cycle } = this.pipeline;
+      const first = history.firstCycle();
+      scrubber.min = first === null ? cycle : first;
+      scrubber.max = Math.max(history.furthestCycle, cycle);
+      scrubber.value = cycle;
+      document.getElementById('cycle-input').value = cycle;
+      document.getElementById('prev-cycle').disabled = cycle === 0 || first === null || first >= cycle;
+   }
+
+   // Saída dos syscalls e destaque da entrada quando um read_* está esperando
+   updateConsoleDisplay() {
+      const output = document.getElementById('console-saida');
+      if (output) {
+         output.textContent = this.pipeline.consoleOutput;
+         output.scrollTop = output.scrollHeight;
+      }
+
+      const input = document.getElementById('console-entrada');
+      if (input) {
+         input.classList.toggle('aguardando', this.isWaitingForInput());
+      }
+   }
+
+   isWaitingForInput() {
+      return this.pipeline.waitingForInput && this.pipeline.inputQueue.length === 0;
+   }
+
+   updateCP0Display() {
+      const cp0List = document.getElementById('cp0-list');
+      if (!cp0List) {
+         console.error('Elemento cp0-list não encontrado'); // Debug log
+         return;
+      }
+
+      cp0List.innerHTML = '';
+
+      const excCode = (this.pipeline.cp0[CP0Register.CAUSE] & CAUSE_EXCCODE_MASK) >> 2;
+      const entries = [
+         ['Status', this.pipeline.cp0[CP0Register.STATUS], (this.pipeline.cp0[CP0Register.STATUS] & STATUS_EXL) ? 'EXL' : ''],
+         ['Cause', this.pipeline.cp0[CP0Register.CAUSE], this.pipeline.cp0[CP0Register.CAUSE] ? ExceptionName[excCode] || excCode : ''],
+         ['EPC', this.pipeline.cp0[CP0Register.EPC], ''],
+         ['BadVAddr', this.pipeline.cp0[CP0Register.BAD_VADDR], '']
+      ];
+      for (const [name, value, detail] of entries) {
+         const cp0Div = document.createElement('div');
+         cp0Div.className = 'registrador-item';
+         cp0Div.textContent = `${name}: ${formatWord(value)}${detail ? ` (${detail})` : ''}`;
+         cp0List.appendChild(cp0Div);
+      }
+   }
+
+   updateStatisticsDisplay() {
+      const statisticsList = document.getElementById('estatisticas-list');
+      if (!statisticsList) {
+         console.error('Elemento estatisticas-list não encontrado'); // Debug log
+         return;
+      }
+
+      statisticsList.innerHTML = '';
+
+      const stats = this.pipeline.getStatistics();
+      const ratio = value => value === null ? '-' : value.toFixed(2);
+      const percent = value => value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+      const entries = [
+         ['Ciclos', stats.cycles],
+         ['Instruções', stats.retired],
+         ['CPI', ratio(stats.cpi)],
+         ['IPC', ratio(stats.ipc)],
+         ['Ciclos de stall', stats.stallCycles],
+         ['Stalls load-use', stats.stalls[StallCause.LOAD_USE]],
+         ['Stalls de dados', stats.stalls[StallCause.DATA]],
+         ['Stalls de MUL', stats.stalls[StallCause.STRUCTURAL_MUL]],
+         ['Stalls de controle', stats.stalls[StallCause.CONTROL]],
+         ['Stalls de entrada', stats.stalls[StallCause.INPUT]],
+         ['Stalls de cache de dados', stats.stalls[StallCause.CACHE_MISS]],
+         ['Stalls de cache de instruções', stats.stalls[StallCause.ICACHE_MISS]],
+         ['Instruções descartadas', stats.flushes],
+         ['Forwarding EX→EX', stats.forwards[ForwardingPath.EX_EX]],
+         ['Forwarding MEM→EX', stats.forwards[ForwardingPath.MEM_EX]],
+         ['Forwarding MEM→ID', stats.forwards[ForwardingPath.MEM_ID]],
+         ['Branches', `${stats.branches.total} (${stats.branches.taken} tomados)`],
+         ['Predições erradas', stats.branches.mispredicted],
+         ['Acurácia', percent(stats.branches.accuracy)]
+      ];
+      for (const [name, value] of entries) {
+         const statDiv = document.createElement('div');
+         statDiv.className = 'registrador-item';
+         statDiv.textContent = `${name}: ${value}`;
+         statisticsList.appendChild(statDiv);
+      }
+   }
+
+   // Lista dos pontos de parada, com os atingidos no último ciclo destacados
+   updateBreakpointsDisplay() {
+      const breakpointsList = document.getElementById('breakpoints-list');
+      if (!breakpointsList) return;
+
+      breakpointsList.innerHTML = '';
+      const hitIds = this.pipeline.breakpointHits.map(hit => hit.breakpoint.id);
+      for (const breakpoint of this.pipeline.breakpoints) {
+         const itemDiv = document.createElement('div');
+         itemDiv.className = hitIds.includes(breakpoint.id) ? 'ponto-parada-item parada' : 'ponto-parada-item';
+         itemDiv.textContent = this.describeBreakpoint(breakpoint);
+
+         const removeButton = document.createElement('button');
+         removeButton.textContent = '×';
+         removeButton.title = 'Remover';
+         removeButton.addEventListener('click', () => {
+            this.pipeline.removeBreakpoint(breakpoint.id);
+            this.render();
+         });
+         itemDiv.appendChild(removeButton);
+         breakpointsList.appendChild(itemDiv);
+      }
+   }
+
+   // Endereço de um ponto de parada como foi informado (label ou endereço)
+   formatBreakpointLocation(breakpoint) {
+      return breakpoint.label !== null ? breakpoint.label : formatWord(breakpoint.address);
+   }
+
+   describeBreakpoint(breakpoint) {
+      switch (breakpoint.kind) {
+         case BreakpointKind.INSTRUCTION: {
+            const condition = breakpoint.condition ? ` se ${breakpoint.condition.text}` : '';
+            return `${this.formatBreakpointLocation(breakpoint)} no ${breakpoint.stage}${condition}`;
+         }
+         case BreakpointKind.REGISTER:
+            return `Escrita em ${getRegisterName(breakpoint.register)}`;
+         default:
+            return `Store em ${this.formatBreakpointLocation(breakpoint)} (${breakpoint.size} bytes)`;
+      }
+   }
+
+   describeBreakpointHit(hit) {
+      switch (hit.breakpoint.kind) {
+         case BreakpointKind.INSTRUCTION:
+            return `breakpoint em ${formatWord(hit.pc)} no ${hit.stage}`;
+         case BreakpointKind.REGISTER:
+            return `${getRegisterName(hit.register)} ${hit.oldValue} → ${hit.value} (${formatWord(hit.pc)})`;
+         default:
+            return `store de ${hit.value} em ${formatWord(hit.address)} (${formatWord(hit.pc)})`;
+      }
+   }
+
+   // Mostra o código fonte com os diagnósticos do montador abaixo de cada linha
+   updateSourceDisplay() {
+      const sourceContainer = document.getElementById('codigo-fonte');
+      if (!sourceContainer) {
+         console.error('Elemento codigo-fonte não encontrado'); // Debug log
+         return;
+      }
+
+      sourceContainer.innerHTML = '';
+
+      // Diagnósticos sem linha (ex: programa vazio) aparecem no topo
+      for (const diagnostic of this.pipeline.diagnostics.filter(d => d.line === null)) {
+         sourceContainer.appendChild(this.createDiagnosticElement(diagnostic));
+      }
+
+      for (const source of ['program', 'handler']) {
+         const lines = this.pipeline.sourceLines[source];
+         if (lines.length === 0) continue;
+         if (source === 'handler') {
+            const title = document.createElement('h4');
+            title.textContent = 'Tratador de exceções';
+            sourceContainer.appendChild(title);
+         }
+
+         lines.forEach((text, i) => {
+            const diagnostics = this.pipeline.diagnostics.filter(d => d.source === source && d.line === i + 1);
+            const lineDiv = document.createElement('div');
+            lineDiv.className = 'linha-fonte';
+            if (diagnostics.some(d => d.severity === DiagnosticSeverity.ERROR)) {
+               lineDiv.classList.add('erro');
+            } else if (diagnostics.length > 0) {
+               lineDiv.classList.add('aviso');
+            }
+
+            const numberSpan = document.createElement('span');
+            numberSpan.className = 'numero-linha';
+            numberSpan.textContent = i + 1;
+            const textSpan = document.createElement('span');
+            textSpan.textContent = text;
+            lineDiv.append(numberSpan, textSpan);
+            sourceContainer.appendChild(lineDiv);
+
+            for (const diagnostic of diagnostics) {
+               sourceContainer.appendChild(this.createDiagnosticElement(diagnostic));
+            }
+         });
+      }
+   }
+
+   createDiagnosticElement(diagnostic) {
+      const diagnosticDiv = document.createElement('div');
+      diagnosticDiv.className = `diagnostico ${diagnostic.severity}`;
+      const position = diagnostic.line === null ? '' : `linha ${diagnostic.line}, coluna ${diagnostic.column}: `;
+      const severity = diagnostic.severity === DiagnosticSeverity.ERROR ? 'erro' : 'aviso';
+      diagnosticDiv.textContent = `${position}${severity}: ${diagnostic.message}`;
+      return diagnosticDiv;
+   }
+
+   updateBranchPredictorDisplay() {
+      console.log('Atualizando display do preditor de branch...'); // Debug log
+
+      const branchContainer = document.getElementById('predicao-branch');
+      if (!branchContainer) {
+         console.error('Elemento predicao-branch não encontrado'); // Debug log
+         return;
+      }
+
+      branchContainer.innerHTML = '';
+
+      // Estado interno do esquema: histórico global e tabelas
+      const { history, tables } = this.pipeline.branchPredictor.getState();
+      if (history) {
+         const historyDiv = document.createElement('div');
+         historyDiv.className = 'predicao-estado';
+         historyDiv.textContent = `GHR: ${history.value.toString(2).padStart(history.length, '0')}`;
+         branchContainer.appendChild(historyDiv);
+      }
+      for (const table of tables) {
+         const tableDiv = document.createElement('div');
+         tableDiv.className = 'predicao-tabela';
+         const title = document.createElement('h4');
+         title.textContent = table.name;
+         tableDiv.appendChild(title);
+
+         const entries = document.createElement('div');
+         entries.className = 'predicao-entradas';
+         table.values.forEach((value, index) => {
+            const entryDiv = document.createElement('div');
+            entryDiv.className = 'predicao-entrada';
+            entryDiv.textContent = `${index}: ${this.formatPredictorEntry(table.kind, value)}`;
+            if (table.kind === 'counter') entryDiv.title = this.pipeline.getBranchStateName(value);
+            entries.appendChild(entryDiv);
+         });
+         tableDiv.appendChild(entries);
+         branchContainer.appendChild(tableDiv);
+      }
+
+      // Branches condicionais: alvo no BTB e acertos/erros
+      for (const [address, outcome] of this.pipeline.branchOutcomes) {
+         const target = this.pipeline.branchTargetBuffer.get(address);
+         const stateDiv = document.createElement('div');
+         stateDiv.className = 'predicao-estado';
+         stateDiv.textContent = `PC ${formatWord(address)}${target === undefined ? '' : ` → ${formatWord(target)}`}` +
+            ` (acertos ${outcome.hits}, erros ${outcome.misses})`;
+         console.log(`Branch em PC ${address}: ${outcome.hits} acertos, ${outcome.misses} erros`); // Debug log
+         branchContainer.appendChild(stateDiv);
+      }
+
+      // Jumps só aparecem no BTB
+      for (const [address, target] of this.pipeline.branchTargetBuffer) {
+         if (this.pipeline.branchOutcomes.has(address)) continue;
+         const targetDiv = document.createElement('div');
+         targetDiv.className = 'predicao-estado';
+         targetDiv.textContent = `PC ${formatWord(address)}: BTB → ${formatWord(target)}`;
+         branchContainer.appendChild(targetDiv);
+      }
+   }
+
+   updateCacheDisplay() {
+      this.updateCachePanel('cache-list', this.pipeline.dataCache, true);
+      this.updateCachePanel('icache-list', this.pipeline.instructionCache, false);
+   }
+
+   // Contadores e linhas (conjunto × via) de uma das caches; a de instruções
+   // só é lida (hasWrites false)
+   updateCachePanel(containerId, cache, hasWrites) {
+      const cacheContainer = document.getElementById(containerId);
+      if (!cacheContainer) {
+         console.error(`Elemento ${containerId} não encontrado`); // Debug log
+         return;
+      }
+
+      cacheContainer.innerHTML = '';
+
+      if (!cache) {
+         const offDiv = document.createElement('div');
+         offDiv.className = 'predicao-estado';
+         offDiv.textContent = 'Cache desligada';
+         cacheContainer.appendChild(offDiv);
+         return;
+      }
+
+      const stats = this.pipeline.getCacheStatistics(cache);
+      const hitRate = stats.hitRate === null ? '-' : `${(stats.hitRate * 100).toFixed(1)}%`;
+      const summary = hasWrites ? [
+         `Acessos: ${stats.accesses} (${stats.reads} leituras, ${stats.writes} escritas)`,
+         `Acertos: ${stats.hits}, faltas: ${stats.misses} (taxa de acerto ${hitRate})`,
+         `Write-backs: ${stats.writebacks}`
+      ] : [
+         `Buscas: ${stats.accesses}`,
+         `Acertos: ${stats.hits}, faltas: ${stats.misses} (taxa de acerto ${hitRate})`
+      ];
+      for (const text of summary) {
+         const summaryDiv = document.createElement('div');
+         summaryDiv.className = 'predicao-estado';
+         summaryDiv.textContent = text;
+         cacheContainer.appendChild(summaryDiv);
+      }
+
+      // Uma linha do grid por conjunto e uma coluna por via
+      const { sets } = cache.getState();
+      const entries = document.createElement('div');
+      entries.className = 'predicao-entradas';
+      entries.style.gridTemplateColumns = `repeat(${cache.associativity}, 1fr)`;
+      sets.forEach((lines, index) => {
+         lines.forEach((line, way) => {
+            const entryDiv = document.createElement('div');
+            entryDiv.className = 'predicao-entrada';
+            const content = line.valid ? `0x${line.tag.toString(16)}${line.dirty ? ' D' : ''}` : '-';
+            entryDiv.textContent = `${index}.${way}: ${content}`;
+            entryDiv.title = `Conjunto ${index}, via ${way}: ` +
+               (line.valid ? `tag 0x${line.tag.toString(16)}${line.dirty ? ', suja' : ''}` : 'inválida');
+            entries.appendChild(entryDiv);
+         });
+      });
+      cacheContainer.appendChild(entries);
+   }
+
+   // Texto curto de uma entrada das tabelas do preditor
+   formatPredictorEntry(kind, value) {
+      switch (kind) {
+         case 'bit':
+            return value ? 'T' : 'N';
+         case 'chooser':
+            // >= 2 escolhe o gshare (global), abaixo disso o local
+            return ['L', 'l', 'g', 'G'][value];
+         default:
+            return ['SN', 'WN', 'WT', 'ST'][value];
+      }
+   }
+}
+
+let lastLoadedProgram = null;  // salva o último programa carregado
+let lastCacheOptions = CacheDefaults;  // configuração exibida com a cache desligada
+let lastInstructionCacheOptions = InstructionCacheDefaults;
+
+// Inicialização da interface
+document.addEventListener('DOMContentLoaded', () => {
+   console.log('Inicializando interface...'); // Debug log
+   const pipeline = new MIPSPipeline();
+   const view = new PipelineView(pipeline);
+
+   // O núcleo para a execução contínua quando o programa termina ou atinge um ponto de parada
+   pipeline.on(SimulatorEvent.HALT, () => {
+      document.getElementById('run').textContent = 'Executar';
+   });
+   pipeline.on(SimulatorEvent.BREAKPOINT, () => {
+      document.getElementById('run').textContent = 'Executar';
+   });
+
+   // Um read_int/read_string sem entrada pede uma linha no console
+   pipeline.on(SimulatorEvent.INPUT_REQUEST, () => {
+      document.getElementById('console-entrada').focus();
+   });
+
+   const submitConsoleInput = () => {
+      const input = document.getElementById('console-entrada');
+      pipeline.provideInput(input.value);
+      input.value = '';
+      view.render();
+   };
+   document.getElementById('console-enviar').addEventListener('click', submitConsoleInput);
+   document.getElementById('console-entrada').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') submitConsoleInput();
+   });
+
+   // O arquivo de programa pode escolher o preditor, a resolução, o delay slot
+   // e as caches
+   const cacheInputs = ['cache-size', 'cache-block-size', 'cache-associativity', 'cache-replacement',
+      'cache-write-policy', 'cache-write-allocate', 'cache-miss-penalty'];
+   const instructionCacheInputs = ['icache-size', 'icache-block-size', 'icache-associativity',
+      'icache-replacement', 'icache-miss-penalty'];
+   const showPredictorOptions = () => {
+      document.getElementById('predictor-type').value = pipeline.predictorType;
+      document.getElementById('predictor-table-size').value = pipeline.predictorOptions.tableSize;
+      document.getElementById('predictor-history').value = pipeline.predictorOptions.historyLength;
+      document.getElementById('branch-stage').value = pipeline.branchResolutionStage;
+      document.getElementById('delay-slot').checked = pipeline.delaySlotEnabled;
+      document.getElementById('forwarding').checked = pipeline.forwardingEnabled;
+
+      // Desligada, a cache mostra a última configuração usada (ou os padrões)
+      if (pipeline.dataCacheOptions) lastCacheOptions = pipeline.dataCacheOptions;
+      const cacheOptions = lastCacheOptions;
+      document.getElementById('cache-enabled').checked = pipeline.dataCacheOptions !== null;
+      document.getElementById('cache-size').value = cacheOptions.size;
+      document.getElementById('cache-block-size').value = cacheOptions.blockSize;
+      document.getElementById('cache-associativity').value = cacheOptions.associativity;
+      document.getElementById('cache-replacement').value = cacheOptions.replacement;
+      document.getElementById('cache-write-policy').value = cacheOptions.writePolicy;
+      document.getElementById('cache-write-allocate').checked = cacheOptions.writeAllocate;
+      document.getElementById('cache-miss-penalty').value = cacheOptions.missPenalty;
+      cacheInputs.forEach(id => {
+         document.getElementById(id).disabled = pipeline.dataCacheOptions === null;
+      });
+
+      if (pipeline.instructionCacheOptions) lastInstructionCacheOptions = pipeline.instructionCacheOptions;
+      const instructionCacheOptions = lastInstructionCacheOptions;
+      document.getElementById('icache-enabled').checked = pipeline.instructionCacheOptions !== null;
+      document.getElementById('icache-size').value = instructionCacheOptions.size;
+      document.getElementById('icache-block-size').value = instructionCacheOptions.blockSize;
+      document.getElementById('icache-associativity').value = instructionCacheOptions.associativity;
+      document.getElementById('icache-replacement').value = instructionCacheOptions.replacement;
+      document.getElementById('icache-miss-penalty').value = instructionCacheOptions.missPenalty;
+      instructionCacheInputs.forEach(id => {
+         document.getElementById(id).disabled = pipeline.instructionCacheOptions === null;
+      });
+   };
+
+   // Event listeners para os botões
+   document.getElementById('prev-cycle').addEventListener('click', () => {
+      console.log('Botão ciclo anterior clicado'); // Debug log
+      pipeline.stepBack();
+      document.getElementById('run').textContent = 'Executar';
+   });
+
+   document.getElementById('next-cycle').addEventListener('click', () => {
+      console.log('Botão próximo ciclo clicado'); // Debug log
+      pipeline.stop();
+      pipeline.executeCycle();
+   });
+
+   document.getElementById('run').addEventListener('click', () => {
+      console.log('Botão executar clicado'); // Debug log
+      if (pipeline.isRunning) {
+         pipeline.stop();
+         document.getElementById('run').textContent = 'Executar';
+      } else if (pipeline.hasAssemblyErrors()) {
+         alert('O programa tem erros de montagem e não pode ser executado.');
+      } else if (pipeline.isFinished()) {
+         alert('O programa já terminou. Use Resetar para executar novamente.');
+      } else {
+         pipeline.run();
+         document.getElementById('run').textContent = 'Parar';
+      }
+   });
+
+   document.getElementById('file-input').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      const reader = new FileReader();
+      reader.onload = (event) => {
+         try {
+            const data = JSON.parse(event.target.result);
+
+            const diagnostics = pipeline.loadProgramData(data);
+            lastLoadedProgram = data; // Salva para o reset
+            document.getElementById('endianness').value = pipeline.endianness;
+            showPredictorOptions();
+
+            view.render();
+
+            document.getElementById('run').textContent = 'Executar';
+            const errorCount = diagnostics.filter(d => d.severity === DiagnosticSeverity.ERROR).length;
+            if (errorCount > 0) {
+               alert(`O programa tem ${errorCount} erro(s) de montagem. Corrija-os antes de executar.`);
+            } else {
+               alert('Programa carregado com sucesso!');
+            }
+         } catch (err) {
+            alert('Erro ao ler o arquivo: ' + err.message);
+         }
+      };
+      reader.readAsText(file);
+   });
+
+   // Exportação do diagrama de tempo
+   const download = (filename, type, content) => {
+      const url = URL.createObjectURL(new Blob([content], { type }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+   };
+   document.getElementById('exportar-svg').addEventListener('click', () => {
+      download('diagrama-pipeline.svg', 'image/svg+xml', pipeline.timeline.toSVG());
+   });
+   document.getElementById('exportar-csv').addEventListener('click', () => {
+      download('diagrama-pipeline.csv', 'text/csv', pipeline.timeline.toCSV());
+   });
+
+   document.getElementById('endianness').addEventListener('change', (e) => {
+      pipeline.endianness = e.target.value;
+      view.render();
+   });
+
+   // Troca de esquema ou de tamanhos: o novo preditor começa sem treino
+   const changePredictor = () => {
+      try {
+         pipeline.setPredictor(document.getElementById('predictor-type').value, {
+            tableSize: Number(document.getElementById('predictor-table-size').value),
+            historyLength: Number(document.getElementById('predictor-history').value)
+         });
+      } catch (err) {
+         alert('Preditor inválido: ' + err.message);
+      }
+      view.render();
+   };
+   ['predictor-type', 'predictor-table-size', 'predictor-history'].forEach(id => {
+      document.getElementById(id).addEventListener('change', changePredictor);
+   });
+
+   // Pontos de parada: o local é um label ou endereço (breakpoints e memória)
+   // ou um registrador; estágio e condição só valem para breakpoints
+   const showBreakpointFields = () => {
+      const isInstruction = document.getElementById('breakpoint-kind').value === BreakpointKind.INSTRUCTION;
+      document.getElementById('breakpoint-stage').disabled = !isInstruction;
+      document.getElementById('breakpoint-condition').disabled = !isInstruction;
+   };
+   document.getElementById('breakpoint-kind').addEventListener('change', showBreakpointFields);
+   document.getElementById('add-breakpoint').addEventListener('click', () => {
+      const location = document.getElementById('breakpoint-location').value.trim();
+      try {
+         switch (document.getElementById('breakpoint-kind').value) {
+            case BreakpointKind.INSTRUCTION:
+               pipeline.addBreakpoint(location, {
+                  stage: document.getElementById('breakpoint-stage').value,
+                  condition: document.getElementById('breakpoint-condition').value.trim() || null
+               });
+               break;
+            case BreakpointKind.REGISTER:
+               pipeline.watchRegister(location);
+               break;
+            default:
+               pipeline.watchMemory(location);
+         }
+         document.getElementById('breakpoint-location').value = '';
+         document.getElementById('breakpoint-condition').value = '';
+      } catch (err) {
+         alert('Ponto de parada inválido: ' + err.message);
+      }
+      view.render();
+   });
+
+   document.getElementById('register-naming').addEventListener('change', (e) => {
+      setRegisterNamingStyle(e.target.value);
+      view.render();
+   });
+
+   const resetProgram = () => {
+      if (lastLoadedProgram) {
+         // Recarregar o último programa
+         pipeline.loadProgramData(lastLoadedProgram);
+         showPredictorOptions();
+      } else {
+         pipeline.reset();
+      }
+
+      view.render();
+      document.getElementById('run').textContent = 'Executar';
+   };
+
+   // Ciclos anteriores vêm do histórico; ciclos à frente são executados
+   const goToCycle = (cycle) => {
+      if (!Number.isInteger(cycle) || cycle < 0) return;
+      if (!pipeline.goToCycle(cycle) && cycle < pipeline.cycle) {
+         alert(`O ciclo ${cycle} não está mais no histórico (são guardados os últimos ${HISTORY_LIMIT} ciclos).`);
+      }
+      document.getElementById('run').textContent = 'Executar';
+      view.render();
+   };
+   document.getElementById('cycle-scrubber').addEventListener('input', (e) => {
+      goToCycle(Number(e.target.value));
+   });
+   document.getElementById('go-to-cycle').addEventListener('click', () => {
+      goToCycle(Number(document.getElementById('cycle-input').value));
+   });
+
+   document.getElementById('reset').addEventListener('click', () => {
+      console.log('Botão reset clicado');
+      resetProgram();
+   });
+
+   // Resolução e delay slot mudam o significado dos branches em andamento:
+   // o programa recomeça com a nova configuração
+   document.getElementById('branch-stage').addEventListener('change', (e) => {
+      pipeline.stop();
+      resetProgram();
+      pipeline.branchResolutionStage = e.target.value;
+      showPredictorOptions();
+   });
+   document.getElementById('delay-slot').addEventListener('change', (e) => {
+      pipeline.stop();
+      resetProgram();
+      pipeline.delaySlotEnabled = e.target.checked;
+      showPredictorOptions();
+   });
+
+   // Sem forwarding o pipeline só resolve dependências com stalls; o programa
+   // recomeça para comparar as duas execuções desde o início
+   document.getElementById('forwarding').addEventListener('change', (e) => {
+      pipeline.stop();
+      resetProgram();
+      pipeline.forwardingEnabled = e.target.checked;
+      showPredictorOptions();
+   });
+
+   // A cache nova começa vazia: o programa recomeça para que as estatísticas
+   // de acertos e faltas valham para a execução inteira
+   const changeDataCache = () => {
+      const enabled = document.getElementById('cache-enabled').checked;
+      const cacheOptions = {
+         size: Number(document.getElementById('cache-size').value),
+         blockSize: Number(document.getElementById('cache-block-size').value),
+         associativity: Number(document.getElementById('cache-associativity').value),
+         replacement: document.getElementById('cache-replacement').value,
+         writePolicy: document.getElementById('cache-write-policy').value,
+         writeAllocate: document.getElementById('cache-write-allocate').checked,
+         missPenalty: Number(document.getElementById('cache-miss-penalty').value)
+      };
+      pipeline.stop();
+      resetProgram();
+      try {
+         pipeline.setDataCache(enabled ? cacheOptions : null);
+      } catch (err) {
+         alert('Cache inválida: ' + err.message);
+      }
+      showPredictorOptions();
+      view.render();
+   };
+   ['cache-enabled', ...cacheInputs].forEach(id => {
+      document.getElementById(id).addEventListener('change', changeDataCache);
+   });
+
+   // Da mesma forma para a cache de instruções
+   const changeInstructionCache = () => {
+      const enabled = document.getElementById('icache-enabled').checked;
+      const cacheOptions = {
+         size: Number(document.getElementById('icache-size').value),
+         blockSize: Number(document.getElementById('icache-block-size').value),
+         associativity: Number(document.getElementById('icache-associativity').value),
+         replacement: document.getElementById('icache-replacement').value,
+         missPenalty: Number(document.getElementById('icache-miss-penalty').value)
+      };
+      pipeline.stop();
+      resetProgram();
+      try {
+         pipeline.setInstructionCache(enabled ? cacheOptions : null);
+      } catch (err) {
+         alert('Cache de instruções inválida: ' + err.message);
+      }
+      showPredictorOptions();
+      view.render();
+   };
+   ['icache-enabled', ...instructionCacheInputs].forEach(id => {
+      document.getElementById(id).addEventListener('change', changeInstructionCache);
+   });
+
+   // Adicionar controle de velocidade
+   const speedControl = document.createElement('div');
+   speedControl.className = 'controle-velocidade';
+   speedControl.innerHTML = `
+      <label for="speed">Velocidade (ms):</label>
+      <input type="range" id="speed" min="100" max="2000" step="100" value="1000">
+      <span id="speed-value">1000</span>
+   `;
+   document.querySelector('.controles').appendChild(speedControl);
+
+   document.getElementById('speed').addEventListener('input', (e) => {
+      const speed = parseInt(e.target.value);
+      document.getElementById('speed-value').textContent = speed;
+      pipeline.setRunSpeed(speed);
+   });
+});